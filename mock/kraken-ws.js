@@ -0,0 +1,313 @@
+// Local stand-in for Kraken's WebSocket v2 `book` channel, for working on the app
+// without network access:
+//
+//   npm run mock -- --port=8080 --drop=0.01 --bad-checksum=0.005 --disconnect-every=120
+//   VITE_FEED_URL=ws://localhost:8080 npm run dev
+//
+// It answers subscribe/unsubscribe with per-symbol acks, sends snapshots, updates with
+// real CRC32 checksums, and heartbeats. Books follow a random walk, grow walls that come
+// and go, and occasionally burst. Faults can be injected to exercise the app's recovery:
+//   --drop=P               drop an update with probability P (the client's checksum catches it)
+//   --bad-checksum=P       corrupt an update's checksum with probability P
+//   --disconnect-every=S   drop each connection after S seconds
+//   --spike=P              with probability P per tick, hold all output for --spike-ms
+//   --spike-ms=MS          length of a latency spike (default 2000)
+//   --tick-ms=MS           time between book updates (default 100)
+
+import { WebSocketServer } from 'ws'
+import { bookChecksum } from '../src/krakenChecksum.js'
+
+const options = {
+  port: 8080,
+  drop: 0,
+  badChecksum: 0,
+  disconnectEvery: 0,
+  spike: 0,
+  spikeMs: 2000,
+  tickMs: 100,
+}
+process.argv.slice(2).forEach(arg => {
+  const [, key, value] = arg.match(/^--([\w-]+)=(.*)$/) || []
+  const name = key?.replace(/-(\w)/g, (_, c) => c.toUpperCase())
+  if (!(name in options)) {
+    console.error(`[MOCK] Unknown option ${arg}`)
+    process.exit(1)
+  }
+  options[name] = Number(value)
+})
+
+// Pairs the mock knows, matching the app's offline precision table; anything else is rejected
+const PAIRS = {
+  'BTC/USD': { price: 60000, pricePrecision: 1, qtyPrecision: 8 },
+  'ETH/USD': { price: 3000, pricePrecision: 2, qtyPrecision: 8 },
+  'SOL/USD': { price: 150, pricePrecision: 2, qtyPrecision: 8 },
+  'XRP/USD': { price: 0.5, pricePrecision: 5, qtyPrecision: 8 },
+  'ADA/USD': { price: 0.4, pricePrecision: 6, qtyPrecision: 8 },
+}
+const DEPTHS = [10, 25, 100, 500, 1000]
+
+const HEARTBEAT_MS = 1000
+const VOLATILITY = 0.0002      // standard deviation of the mid price move per tick
+const WALL_CHANCE = 0.02       // per side per tick
+const WALL_LIFETIME_TICKS = [50, 300]
+const BURST_CHANCE = 0.01      // per tick
+const BURST_MESSAGES = 20
+const EXTRA_LEVELS = 20        // kept beyond the subscribed depth, so deletions pull levels up from below
+
+const random = (min, max) => min + Math.random() * (max - min)
+const gaussian = () => Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random())
+
+// One simulated book at a given depth. The full book is kept in `bids` and `asks`
+// (best first); clients only see the top `depth` levels, like Kraken's truncated books.
+function createMarket(symbol, depth) {
+  const { price, pricePrecision, qtyPrecision } = PAIRS[symbol]
+  const tick = 10 ** -pricePrecision
+  // Levels are spaced so the visible book spans about 2% either side of mid
+  const step = Math.max(1, Math.round((price * 0.02) / depth / tick))
+  const round = (value, decimals) => Number(value.toFixed(decimals))
+  const toPrice = (ticks) => round(ticks * tick, pricePrecision)
+  const size = depth + EXTRA_LEVELS
+
+  // Prices are held as integer ticks so levels compare exactly
+  let mid = Math.round(price / tick)
+  const bids = new Map()
+  const asks = new Map()
+  const walls = []  // { side, ticks, expiresAt }
+  let tickCount = 0
+
+  const normalQty = () => round(random(0.01, 3) * (1 + Math.random() ** 8 * 10), qtyPrecision)
+  const sorted = (side) => [...side.keys()].sort((a, b) => side === bids ? b - a : a - b)
+
+  // Fill each side out to `size` levels, starting near the touch
+  function refill() {
+    for (const side of [bids, asks]) {
+      const dir = side === bids ? -1 : 1
+      const levels = sorted(side)
+      let ticks = levels.length > 0 ? levels[levels.length - 1] : mid
+      // Keep the touch within a few levels of mid
+      const best = levels[0]
+      if (best === undefined || Math.abs(best - mid) > step * 3) {
+        const touch = mid + dir * Math.max(1, Math.round(random(0.5, 2) * step / 2))
+        if (touch > 0 && !side.has(touch)) side.set(touch, normalQty())
+      }
+      while (side.size < size && ticks + dir * step > 0) {
+        ticks += dir * Math.max(1, Math.round(step * random(0.5, 1.5)))
+        if (!side.has(ticks)) side.set(ticks, normalQty())
+      }
+    }
+  }
+
+  function view(side) {
+    return sorted(side).slice(0, depth).map(ticks => ({ price: toPrice(ticks), qty: side.get(ticks) }))
+  }
+
+  function checksum() {
+    return bookChecksum(view(asks), view(bids), pricePrecision, qtyPrecision)
+  }
+
+  // Move the book one step and return the changes a client needs to follow it
+  function advance() {
+    tickCount++
+    const before = { bids: new Map(view(bids).map(l => [l.price, l.qty])), asks: new Map(view(asks).map(l => [l.price, l.qty])) }
+
+    // Random walk; levels the mid crosses are taken out
+    mid = Math.max(1, Math.round(mid * (1 + gaussian() * VOLATILITY)))
+    for (const ticks of bids.keys()) if (ticks >= mid) bids.delete(ticks)
+    for (const ticks of asks.keys()) if (ticks <= mid) asks.delete(ticks)
+
+    // Churn, concentrated near the touch
+    for (let n = 0; n < 4; n++) {
+      const side = Math.random() < 0.5 ? bids : asks
+      const levels = sorted(side)
+      const ticks = levels[Math.floor(Math.random() ** 3 * Math.min(levels.length, depth))]
+      if (ticks === undefined || walls.some(w => w.ticks === ticks)) continue
+      if (Math.random() < 0.2) side.delete(ticks)
+      else side.set(ticks, normalQty())
+    }
+
+    // Walls: a large resting order somewhere in the visible book, for a while
+    for (const side of [bids, asks]) {
+      if (Math.random() >= WALL_CHANCE) continue
+      const levels = sorted(side).slice(0, depth)
+      const ticks = levels[Math.floor(random(0.1, 0.9) * levels.length)]
+      if (ticks === undefined) continue
+      side.set(ticks, round(random(40, 150), qtyPrecision))
+      walls.push({ side, ticks, expiresAt: tickCount + Math.round(random(...WALL_LIFETIME_TICKS)) })
+    }
+    for (let i = walls.length - 1; i >= 0; i--) {
+      const wall = walls[i]
+      if (wall.expiresAt > tickCount && wall.side.has(wall.ticks)) continue
+      if (wall.side.has(wall.ticks)) wall.side.set(wall.ticks, normalQty())
+      walls.splice(i, 1)
+    }
+
+    refill()
+    return { bids: diff(before.bids, view(bids), true), asks: diff(before.asks, view(asks), false) }
+  }
+
+  // Removals go first, so a client never truncates a level it is about to need. Levels that
+  // only fell off the end of a full book are left to the client's own truncation, as Kraken does.
+  function diff(before, after, isBids) {
+    const worst = after.length > 0 ? after[after.length - 1].price : null
+    const inView = (price) => after.length < depth || (isBids ? price > worst : price < worst)
+    const current = new Map(after.map(level => [level.price, level.qty]))
+    const removed = [...before.keys()]
+      .filter(price => !current.has(price) && inView(price))
+      .map(price => ({ price, qty: 0 }))
+    const changed = after.filter(level => before.get(level.price) !== level.qty)
+    return [...removed, ...changed]
+  }
+
+  refill()
+  return { symbol, advance, checksum, snapshot: () => ({ bids: view(bids), asks: view(asks) }) }
+}
+
+const timestamps = () => {
+  const now = new Date().toISOString()
+  return { time_in: now, time_out: now }
+}
+
+function handleConnection(socket, id) {
+  const markets = {}  // symbol -> market, at the depth this client subscribed with
+  let heldUntil = 0
+  let held = []
+
+  // Release frames held by a spike, oldest first
+  function flushHeld() {
+    const frames = held
+    held = []
+    frames.forEach(text => socket.readyState === socket.OPEN && socket.send(text))
+  }
+
+  // Outgoing frames pass through here so a latency spike can hold them. Anything still held
+  // goes out before a new frame, whether or not the flush timer has fired yet, so order holds.
+  function send(msg) {
+    const text = JSON.stringify(msg)
+    if (Date.now() < heldUntil) {
+      held.push(text)
+      return
+    }
+    flushHeld()
+    if (socket.readyState === socket.OPEN) socket.send(text)
+  }
+
+  function sendUpdate(market, changes) {
+    if (Math.random() < options.drop) return
+    const checksum = market.checksum()
+    send({
+      channel: 'book',
+      type: 'update',
+      data: [{
+        symbol: market.symbol,
+        bids: changes.bids,
+        asks: changes.asks,
+        checksum: Math.random() < options.badChecksum ? (checksum ^ 1) >>> 0 : checksum,
+        timestamp: new Date().toISOString(),
+      }],
+    })
+  }
+
+  function subscribe({ symbol: symbols = [], depth = 10 }, req_id) {
+    symbols.forEach(symbol => {
+      if (!PAIRS[symbol]) {
+        send({ error: `Currency pair not supported ${symbol}`, method: 'subscribe', success: false, symbol, req_id, ...timestamps() })
+        return
+      }
+      if (!DEPTHS.includes(depth)) {
+        send({ error: 'Invalid depth', method: 'subscribe', success: false, symbol, req_id, ...timestamps() })
+        return
+      }
+      if (markets[symbol]) {
+        send({ error: 'Already subscribed', method: 'subscribe', success: false, symbol, req_id, ...timestamps() })
+        return
+      }
+
+      const market = createMarket(symbol, depth)
+      markets[symbol] = market
+      send({ method: 'subscribe', result: { channel: 'book', depth, snapshot: true, symbol }, success: true, req_id, ...timestamps() })
+      send({
+        channel: 'book',
+        type: 'snapshot',
+        data: [{ symbol, ...market.snapshot(), checksum: market.checksum() }],
+      })
+    })
+  }
+
+  function unsubscribe({ symbol: symbols = [] }, req_id) {
+    symbols.forEach(symbol => {
+      if (!markets[symbol]) {
+        send({ error: 'Subscription Not Found', method: 'unsubscribe', success: false, symbol, req_id, ...timestamps() })
+        return
+      }
+      delete markets[symbol]
+      send({ method: 'unsubscribe', result: { channel: 'book', symbol }, success: true, req_id, ...timestamps() })
+    })
+  }
+
+  socket.on('message', (data) => {
+    let msg
+    try {
+      msg = JSON.parse(data)
+    } catch (e) {
+      send({ error: 'Malformed request', success: false, ...timestamps() })
+      return
+    }
+    if (msg.method === 'ping') {
+      send({ method: 'pong', req_id: msg.req_id, ...timestamps() })
+    } else if (msg.params?.channel !== 'book') {
+      send({ error: 'Unsupported channel', method: msg.method, success: false, req_id: msg.req_id, ...timestamps() })
+    } else if (msg.method === 'subscribe') {
+      subscribe(msg.params, msg.req_id)
+    } else if (msg.method === 'unsubscribe') {
+      unsubscribe(msg.params, msg.req_id)
+    }
+  })
+
+  const ticker = setInterval(() => {
+    if (Math.random() < options.spike) {
+      console.log(`[MOCK] #${id} latency spike of ${options.spikeMs}ms`)
+      heldUntil = Date.now() + options.spikeMs
+      // A later, overlapping spike leaves the flush to its own timer
+      setTimeout(() => Date.now() >= heldUntil && flushHeld(), options.spikeMs)
+    }
+
+    // A burst is a run of back-to-back updates, like a sweep through the book
+    const burst = Math.random() < BURST_CHANCE
+    Object.values(markets).forEach(market => {
+      for (let n = 0; n < (burst ? BURST_MESSAGES : 1); n++) sendUpdate(market, market.advance())
+    })
+  }, options.tickMs)
+
+  const heartbeat = setInterval(() => {
+    if (Object.keys(markets).length > 0) send({ channel: 'heartbeat' })
+  }, HEARTBEAT_MS)
+
+  const disconnect = options.disconnectEvery > 0 && setTimeout(() => {
+    console.log(`[MOCK] #${id} injected disconnect`)
+    socket.terminate()
+  }, options.disconnectEvery * 1000)
+
+  socket.on('close', () => {
+    console.log(`[MOCK] #${id} closed`)
+    clearInterval(ticker)
+    clearInterval(heartbeat)
+    clearTimeout(disconnect)
+  })
+
+  send({
+    channel: 'status',
+    type: 'update',
+    data: [{ api_version: 'v2', connection_id: id, system: 'online', version: 'mock' }],
+  })
+}
+
+const server = new WebSocketServer({ port: options.port })
+let connections = 0
+server.on('connection', (socket) => {
+  connections++
+  console.log(`[MOCK] #${connections} connected`)
+  handleConnection(socket, connections)
+})
+server.on('listening', () => {
+  console.log(`[MOCK] Kraken v2 book feed on ws://localhost:${options.port}`, options)
+})
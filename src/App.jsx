@@ -1,304 +1,552 @@
-import { useState, useEffect, useRef, useCallback } from 'react'
-import initWasm, { WasmOrderbook } from '../wasm/kraken_wasm.js'
-
-const SYMBOLS = ['BTC/USD', 'ETH/USD', 'SOL/USD', 'XRP/USD', 'ADA/USD']
-const DEPTH = 100  // Kraken supports: 10, 25, 100, 500, 1000
-
-// Precision settings for checksum calculation
-const SYMBOL_PRECISION = {
-  'BTC/USD': [1, 8],
-  'ETH/USD': [2, 8],
-  'SOL/USD': [2, 8],
-  'XRP/USD': [5, 8],
-  'ADA/USD': [6, 8],
+import { useState, useEffect, useRef } from 'react'
+import {
+  DEPTHS, DEFAULT_DEPTH, PUBLISH_INTERVALS, DEFAULT_PUBLISH_INTERVAL_MS, FRAME_CAPS, DEFAULT_FRAME_CAP_MS, TABLE_REFRESH_MS,
+  INGEST_LAG_WARN_MS, DEFAULT_FEED, ZOOM_PRESETS, DEFAULT_WALL_MULTIPLE,
+  DEFAULT_IMBALANCE_BAND_BPS, DEFAULT_IMBALANCE_TOP_LEVELS, IMBALANCE_SAMPLE_MS, IMBALANCE_HISTORY,
+  SERIES_WINDOWS, SERIES_SAMPLE_MS, SERIES_DEPTH_BAND_BPS,
+} from './config.js'
+import { EMPTY_LEVELS, packLevels, unpackLevels, totalQty, bookImbalance, qtyWithinBand } from './levels.js'
+import { FALLBACK_CATALOG, loadCatalog, catalogPrecision } from './catalog.js'
+import { getRestClient, fetchBookSnapshot, fetchClockOffset } from './rest.js'
+import { syncColor, describeStatus } from './bookStatus.js'
+import { recordingFileName } from './recording.js'
+import { NO_FEATURES } from './bookFeatures.js'
+import {
+  CHART_HEIGHT, chartLayout, zoomWindow, fullBookHalfWidthPct, prepareCanvas, drawDepthChart, findCrosshair, drawCrosshair,
+} from './depthChart.js'
+import SymbolPicker from './SymbolPicker.jsx'
+import HealthPanel from './HealthPanel.jsx'
+import ErrorLog from './ErrorLog.jsx'
+import Recorder from './Recorder.jsx'
+import ReplayControls from './ReplayControls.jsx'
+import FeedPicker from './FeedPicker.jsx'
+import ImpactCalculator from './ImpactCalculator.jsx'
+import LiquidityTable from './LiquidityTable.jsx'
+import BookFeaturesPanel from './BookFeaturesPanel.jsx'
+import ImbalanceGauge from './ImbalanceGauge.jsx'
+import ImbalanceSeries from './ImbalanceSeries.jsx'
+import MarketSeries from './MarketSeries.jsx'
+
+const CLOCK_SYNC_INTERVAL_MS = 5 * 60 * 1000
+const ERROR_LOG_MAX = 200  // entries kept in the error log; counters keep counting past it
+const PINS_STORAGE_KEY = 'havdepth.pins'
+const FEED_STORAGE_KEY = 'havdepth.feed'
+// Animation frames land on vsync, so a cap of 100ms would otherwise wait for the frame after it
+const FRAME_SLACK_MS = 8
+const NO_IMBALANCE = { band: null, top: null }
+// Enough samples per symbol to fill the longest time-series window
+const SERIES_HISTORY = Math.max(...SERIES_WINDOWS.map(w => w.ms)) / SERIES_SAMPLE_MS
+
+// The tooltip only re-renders when what it shows changes, not on every frame under the pointer
+const sameCrosshair = (a, b) => a === b || Boolean(a && b &&
+  a.x === b.x && a.y === b.y &&
+  a.summary.cumNotional === b.summary.cumNotional && a.summary.distancePct === b.summary.distancePct)
+
+// Replay updates that differ only in playback position, which moves with every publish
+const sameReplayControls = (a, b) => Boolean(a && b &&
+  a.active === b.active && a.fileName === b.fileName && String(a.symbols) === String(b.symbols) &&
+  a.depth === b.depth && a.playing === b.playing && a.speed === b.speed && a.total === b.total)
+
+function loadPins() {
+  try {
+    return JSON.parse(localStorage.getItem(PINS_STORAGE_KEY)) || []
+  } catch (e) {
+    return []
+  }
+}
+
+// A source picked in the UI is stored with the env default it overrode; once the env default
+// changes (e.g. starting against the mock server), the env wins again
+function loadFeed() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(FEED_STORAGE_KEY))
+    const sameDefault = stored?.envDefault &&
+      stored.envDefault.kind === DEFAULT_FEED.kind && stored.envDefault.url === DEFAULT_FEED.url
+    return sameDefault ? stored.source : DEFAULT_FEED
+  } catch (e) {
+    return DEFAULT_FEED
+  }
 }
 
 export default function App() {
   const [status, setStatus] = useState('Initializing...')
   const [sdkReady, setSdkReady] = useState(false)
   const [selectedSymbol, setSelectedSymbol] = useState('BTC/USD')
-  const [bids, setBids] = useState([])
-  const [asks, setAsks] = useState([])
+  const [bids, setBids] = useState(EMPTY_LEVELS)
+  const [asks, setAsks] = useState(EMPTY_LEVELS)
   const [midPrice, setMidPrice] = useState(null)
   const [spread, setSpread] = useState(null)
+  const [features, setFeatures] = useState(NO_FEATURES)  // walls and gaps of the shown book
+  const [reconnect, setReconnect] = useState(null)
+  const [bookStatus, setBookStatus] = useState({})
+  const [ingest, setIngest] = useState({ backlog: 0, lagMs: 0 })
+  const [publishIntervalMs, setPublishIntervalMs] = useState(DEFAULT_PUBLISH_INTERVAL_MS)
+  const [depth, setDepth] = useState(DEFAULT_DEPTH)
+  const [catalog, setCatalog] = useState(FALLBACK_CATALOG)
+  const [pinned, setPinned] = useState(loadPins)
+  const [bookSource, setBookSource] = useState(null)
+  const [health, setHealth] = useState(null)
+  const [liquidity, setLiquidity] = useState({})
+  const [errorLog, setErrorLog] = useState([])
+  const [errorCounts, setErrorCounts] = useState({})
+  const [rejected, setRejected] = useState({})
+  const [recording, setRecording] = useState({ active: false, startedAt: null, messages: 0, bytes: 0, capped: false })
+  const [replay, setReplay] = useState(null)
+  const [feedSource, setFeedSource] = useState(loadFeed)
+  const [hover, setHover] = useState(null)  // pointer position over the chart, in CSS pixels
+  const [chartSize, setChartSize] = useState({ width: 0, height: CHART_HEIGHT, dpr: 1 })
+  const [fullscreen, setFullscreen] = useState(false)
+  const [zoom, setZoom] = useState(null)    // { center, halfWidthPct }; null shows the whole book, a null center follows mid
+  const [crosshair, setCrosshair] = useState(null)
+  const [frameCapMs, setFrameCapMs] = useState(DEFAULT_FRAME_CAP_MS)
+  const [chartMode, setChartMode] = useState('step')  // 'step' or 'smooth'
+  const [levelBars, setLevelBars] = useState(false)
+  const [showFeatures, setShowFeatures] = useState(true)
+  const [wallMultiple, setWallMultiple] = useState(DEFAULT_WALL_MULTIPLE)
+  const [imbalanceBandBps, setImbalanceBandBps] = useState(DEFAULT_IMBALANCE_BAND_BPS)
+  const [imbalanceTopLevels, setImbalanceTopLevels] = useState(DEFAULT_IMBALANCE_TOP_LEVELS)
+  const [imbalance, setImbalance] = useState(NO_IMBALANCE)
+  const [imbalanceSamples, setImbalanceSamples] = useState([])  // { t, band, top }, oldest first
+  const [seriesSamples, setSeriesSamples] = useState([])  // the selected symbol's, from seriesRef
+  const [impactSizes, setImpactSizes] = useState({ buy: '', sell: '' })  // as typed, in base units
 
-  const booksRef = useRef({})
-  const wsRef = useRef(null)
+  const workerRef = useRef(null)
   const canvasRef = useRef(null)
-  const messageQueueRef = useRef([])
-  const processingRef = useRef(false)
+  const overlayRef = useRef(null)
+  const chartAreaRef = useRef(null)
+  const chartContainerRef = useRef(null)
+  const dragRef = useRef(null)
   const selectedSymbolRef = useRef(selectedSymbol)
+  const depthRef = useRef(depth)
+  const bookSourceRef = useRef(null)
+  const replayActiveRef = useRef(false)
+  // Stats the worker sends with every publish; the table timer shows them
+  const ingestRef = useRef({ backlog: 0, lagMs: 0 })
+  const replayRef = useRef(null)
+  // Latest book for the render loop; `version` bumps on every change
+  const liveBookRef = useRef({
+    bids: EMPTY_LEVELS, asks: EMPTY_LEVELS, midPrice: null, spread: null, features: NO_FEATURES, version: 0,
+  })
+  const viewRef = useRef(null)
+  const layoutRef = useRef(null)  // layout of the last drawn frame, for pointer interactions
+  const frameCapRef = useRef(frameCapMs)
+  const seriesRef = useRef({})  // symbol -> time-series samples, oldest first
 
   // Keep ref in sync with state
   useEffect(() => {
     selectedSymbolRef.current = selectedSymbol
   }, [selectedSymbol])
 
-  // Process messages sequentially to avoid WASM borrow conflicts
-  const processNextMessage = useCallback(() => {
-    if (processingRef.current) return
-    if (messageQueueRef.current.length === 0) return
-
-    processingRef.current = true
-    const { symbol, data } = messageQueueRef.current.shift()
-
-    try {
-      const book = booksRef.current[symbol]
-      if (!book) {
-        processingRef.current = false
-        if (messageQueueRef.current.length > 0) setTimeout(processNextMessage, 0)
-        return
-      }
-
-      const result = book.apply_and_get(data, DEPTH)
-
-      // Only update UI if this is the currently selected symbol
-      if (result && (result.msg_type === 'update' || result.msg_type === 'snapshot')) {
-        if (symbol === selectedSymbolRef.current) {
-          const topBids = result.bids || []
-          const topAsks = result.asks || []
+  // The socket, the books and all WASM work live in the depth worker
+  useEffect(() => {
+    const worker = new Worker(new URL('./depth.worker.js', import.meta.url), { type: 'module' })
+    workerRef.current = worker
 
-          setBids(topBids)
-          setAsks(topAsks)
-          setMidPrice(result.mid_price || null)
-          setSpread(result.spread || null)
+    worker.onmessage = ({ data: msg }) => {
+      switch (msg.type) {
+        case 'ready':
+          setSdkReady(true)
+          break
+        case 'status':
+          setStatus(msg.status)
+          setReconnect(msg.reconnect)
+          break
+        case 'bookStatus':
+          setBookStatus(msg.bookStatus)
+          break
+        case 'rejected':
+          setRejected(msg.rejected)
+          break
+        case 'ingest':
+          ingestRef.current = { backlog: msg.backlog, lagMs: msg.lagMs }
+          break
+        case 'health':
+          setHealth(msg)
+          break
+        case 'liquidity':
+          setLiquidity(msg.symbols)
+          break
+        case 'error':
+          setErrorLog(prev => [msg.entry, ...prev].slice(0, ERROR_LOG_MAX))
+          setErrorCounts(prev => ({ ...prev, [msg.entry.errorClass]: (prev[msg.entry.errorClass] || 0) + 1 }))
+          break
+        case 'recording':
+          setRecording(msg)
+          break
+        case 'recordingExport': {
+          const url = URL.createObjectURL(msg.blob)
+          const link = document.createElement('a')
+          link.href = url
+          link.download = recordingFileName(msg.startedAt)
+          link.click()
+          setTimeout(() => URL.revokeObjectURL(url), 0)
+          break
         }
-      }
-    } catch (e) {
-      // Silently ignore errors
-    } finally {
-      processingRef.current = false
-      if (messageQueueRef.current.length > 0) {
-        setTimeout(processNextMessage, 0)
+        case 'replay':
+          // Entering or leaving a replay swaps every book, at the recording's depth
+          if (msg.active !== replayActiveRef.current || msg.depth !== depthRef.current) clearBook()
+          // Recorded prices don't belong in the live history, nor live prices in the replay's
+          if (msg.active !== replayActiveRef.current) resetSeries()
+          replayActiveRef.current = msg.active
+          depthRef.current = msg.depth
+          // Loading, exiting, play/pause and speed show at once; position waits for the table timer
+          if (!sameReplayControls(msg, replayRef.current)) {
+            setDepth(msg.depth)
+            setReplay(msg)
+          }
+          replayRef.current = msg
+          if (msg.active && msg.symbols.length > 0 && !msg.symbols.includes(selectedSymbolRef.current)) {
+            handleSymbolChange(msg.symbols[0])
+          }
+          break
+        case 'book':
+          // A publish may cross a symbol or depth switch in flight
+          if (msg.symbol !== selectedSymbolRef.current || msg.depth !== depthRef.current) break
+          // Keep a REST snapshot on screen until the live book has its own snapshot
+          if (!msg.synced && bookSourceRef.current === 'rest') break
+          if (msg.synced) {
+            bookSourceRef.current = 'live'
+            setBookSource('live')
+          }
+          showBook(unpackLevels(msg.bids), unpackLevels(msg.asks), msg.midPrice, msg.spread, msg.features)
+          break
       }
     }
-  }, [])
+    worker.postMessage({ type: 'config', depth: depthRef.current })
+    worker.postMessage({ type: 'select', symbol: selectedSymbolRef.current })
 
-  const queueMessage = useCallback((symbol, data) => {
-    messageQueueRef.current.push({ symbol, data })
-    if (messageQueueRef.current.length > 200) {
-      messageQueueRef.current = messageQueueRef.current.slice(-100)
+    return () => {
+      worker.terminate()
+      workerRef.current = null
     }
-    processNextMessage()
-  }, [processNextMessage])
+  }, [])
 
   useEffect(() => {
-    let mounted = true
+    workerRef.current?.postMessage({ type: 'config', publishIntervalMs })
+  }, [publishIntervalMs])
 
-    async function init() {
-      console.log('[HAVDEPTH] Initializing Havklo SDK...')
-      await initWasm()
-      if (!mounted) return
+  useEffect(() => {
+    workerRef.current?.postMessage({ type: 'config', wallMultiple })
+  }, [wallMultiple])
 
-      console.log('[HAVDEPTH] SDK ready')
-      setSdkReady(true)
+  // Books only go to the ref; the render loop and the table timer pick them up from there
+  // Only worker books carry walls and gaps; a REST snapshot shows without them
+  const showBook = (bids, asks, midPrice, spread, features = NO_FEATURES) => {
+    liveBookRef.current = { bids, asks, midPrice, spread, features, version: liveBookRef.current.version + 1 }
+  }
 
-      // Create orderbooks for all symbols with correct precision
-      SYMBOLS.forEach(sym => {
-        const book = WasmOrderbook.with_depth(sym, DEPTH)
-        const [pricePrecision, qtyPrecision] = SYMBOL_PRECISION[sym] || [2, 8]
-        book.set_precision(pricePrecision, qtyPrecision)
-        booksRef.current[sym] = book
-      })
+  // Tables and stat cards don't need every update, and re-rendering them per message would
+  // tie up the main thread in a busy market
+  useEffect(() => {
+    let shownVersion = liveBookRef.current.version
+    const timer = setInterval(() => {
+      // Unchanged refs hand React the same object, which skips the render
+      setIngest(ingestRef.current)
+      setReplay(replayRef.current)
+      const book = liveBookRef.current
+      if (book.version === shownVersion) return
+      shownVersion = book.version
+      setBids(book.bids)
+      setAsks(book.asks)
+      setMidPrice(book.midPrice)
+      setSpread(book.spread)
+      setFeatures(book.features)
+    }, TABLE_REFRESH_MS)
+    return () => clearInterval(timer)
+  }, [])
 
-      setStatus('Connecting...')
-      const ws = new WebSocket('wss://ws.kraken.com/v2')
-      wsRef.current = ws
-
-      ws.onopen = () => {
-        if (!mounted) return
-        console.log('[HAVDEPTH] WebSocket connected')
-        setStatus('Connected')
-        ws.send(JSON.stringify({
-          method: 'subscribe',
-          params: { channel: 'book', symbol: SYMBOLS, depth: DEPTH }
-        }))
-      }
+  // Imbalance is sampled on a fixed clock, so the series is evenly spaced whatever the feed rate.
+  // A new scope starts a new series rather than mixing two measures on one line.
+  useEffect(() => {
+    setImbalanceSamples([])
+    const scope = { bandBps: imbalanceBandBps, topLevels: imbalanceTopLevels }
+    const timer = setInterval(() => {
+      const { bids, asks, midPrice } = liveBookRef.current
+      if (!midPrice) return
+      const sample = { t: Date.now(), ...bookImbalance(bids, asks, midPrice, scope) }
+      setImbalance(sample)
+      setImbalanceSamples(prev => [...prev.slice(1 - IMBALANCE_HISTORY), sample])
+    }, IMBALANCE_SAMPLE_MS)
+    return () => clearInterval(timer)
+  }, [imbalanceBandBps, imbalanceTopLevels])
 
-      ws.onmessage = (event) => {
-        if (!mounted) return
-        try {
-          const msg = JSON.parse(event.data)
-          if (msg.channel === 'book' && msg.data?.[0]?.symbol) {
-            queueMessage(msg.data[0].symbol, event.data)
-          }
-        } catch (e) {}
+  // Mid, spread and near-mid depth for the time-series panel. History is kept per symbol,
+  // so switching back to a symbol picks its series up where it left off.
+  useEffect(() => {
+    const timer = setInterval(() => {
+      const { bids, asks, midPrice, spread } = liveBookRef.current
+      if (!midPrice) return
+      const sample = {
+        t: Date.now(),
+        mid: midPrice,
+        spread,
+        spreadBps: (spread / midPrice) * 10000,
+        bidDepth: qtyWithinBand(bids, midPrice, SERIES_DEPTH_BAND_BPS),
+        askDepth: qtyWithinBand(asks, midPrice, SERIES_DEPTH_BAND_BPS),
       }
+      const symbol = selectedSymbolRef.current
+      const history = seriesRef.current
+      history[symbol] = [...(history[symbol] || []).slice(1 - SERIES_HISTORY), sample]
+      setSeriesSamples(history[symbol])
+    }, SERIES_SAMPLE_MS)
+    return () => clearInterval(timer)
+  }, [])
 
-      ws.onclose = () => {
-        if (!mounted) return
-        setStatus('Disconnected')
-      }
-      ws.onerror = () => setStatus('Error')
-    }
+  const resetSeries = () => {
+    seriesRef.current = {}
+    setSeriesSamples([])
+  }
 
-    init()
-    return () => {
-      mounted = false
-      wsRef.current?.close()
-      Object.values(booksRef.current).forEach(book => {
-        try { book.free() } catch (e) {}
+  // An empty book shows straight away, rather than leaving the last symbol's tables up
+  const clearBook = () => {
+    showBook(EMPTY_LEVELS, EMPTY_LEVELS, null, null)
+    setBids(EMPTY_LEVELS)
+    setAsks(EMPTY_LEVELS)
+    setMidPrice(null)
+    setSpread(null)
+    setFeatures(NO_FEATURES)
+    setImbalance(NO_IMBALANCE)
+    setImbalanceSamples([])
+    setBookSource(null)
+    bookSourceRef.current = null
+  }
+
+  const handleDepthChange = (newDepth) => {
+    setDepth(newDepth)
+    clearBook()
+    depthRef.current = newDepth
+    workerRef.current?.postMessage({ type: 'config', depth: newDepth })
+  }
+
+  // Load the full pair list; the fallback watch list stays in place if REST is unreachable
+  useEffect(() => {
+    let mounted = true
+    getRestClient()
+      .then(loadCatalog)
+      .then(pairs => {
+        if (!mounted || pairs.length === 0) return
+        console.log(`[HAVDEPTH] Loaded ${pairs.length} pairs`)
+        setCatalog(pairs)
       })
+      .catch(e => console.warn('[HAVDEPTH] Could not load pair catalog', e))
+    return () => { mounted = false }
+  }, [])
+
+  useEffect(() => {
+    workerRef.current?.postMessage({ type: 'catalog', precision: catalogPrecision(catalog) })
+  }, [catalog])
+
+  // Exchange clock offset for feed latency estimates, refreshed to follow local clock drift
+  useEffect(() => {
+    const syncClock = () => {
+      fetchClockOffset()
+        .then(offsetMs => {
+          if (offsetMs !== null) workerRef.current?.postMessage({ type: 'clock', offsetMs })
+        })
+        .catch(e => console.warn('[HAVDEPTH] Could not fetch server time', e))
     }
-  }, [queueMessage])
+    syncClock()
+    const timer = setInterval(syncClock, CLOCK_SYNC_INTERVAL_MS)
+    return () => clearInterval(timer)
+  }, [])
+
+  // Pinned symbols stay subscribed for instant switching; everything else is dropped when not shown
+  useEffect(() => {
+    localStorage.setItem(PINS_STORAGE_KEY, JSON.stringify(pinned))
+    workerRef.current?.postMessage({ type: 'pins', symbols: pinned })
+  }, [pinned])
+
+  // The worker reconnects to the chosen source; its snapshots replace whatever is on screen
+  useEffect(() => {
+    workerRef.current?.postMessage({ type: 'feed', source: feedSource })
+  }, [feedSource])
+
+  const handleFeedChange = (source) => {
+    localStorage.setItem(FEED_STORAGE_KEY, JSON.stringify({ source, envDefault: DEFAULT_FEED }))
+    setFeedSource(source)
+    clearBook()
+    resetSeries()
+  }
+
+  const togglePin = (symbol) => {
+    setPinned(prev => prev.includes(symbol) ? prev.filter(s => s !== symbol) : [...prev, symbol])
+  }
 
   // Handle symbol change
   const handleSymbolChange = (newSymbol) => {
     setSelectedSymbol(newSymbol)
-    setBids([])
-    setAsks([])
-    setMidPrice(null)
-    setSpread(null)
+    clearBook()
+    // A zoom carries over as a width around the new symbol's mid
+    setZoom(z => z && { ...z, center: null })
+    // Order sizes are in the old symbol's base currency
+    setImpactSizes({ buy: '', sell: '' })
+    setSeriesSamples(seriesRef.current[newSymbol] || [])
+
+    // A pinned book is already live in the worker and draws right away; others wait for their snapshot
+    selectedSymbolRef.current = newSymbol
+    workerRef.current?.postMessage({ type: 'select', symbol: newSymbol })
   }
 
-  // Helper to get price/qty from SDK objects
-  const getPrice = (item) => item.price || item[0] || 0
-  const getQty = (item) => item.qty || item[1] || 0
+  // Paint a REST snapshot immediately while the WebSocket subscription warms up
+  const restPair = catalog.find(p => p.symbol === selectedSymbol)?.restPair
+  // Only Kraken's own feed matches Kraken's REST book; custom, mock and synthetic feeds (and
+  // replays) would get exchange prices painted under their own, and an offline setup a network call
+  const replaying = Boolean(replay?.active)
+  const krakenFeed = feedSource.kind === 'kraken'
+  useEffect(() => {
+    if (!restPair || replaying || !krakenFeed) return
+    let cancelled = false
+
+    fetchBookSnapshot(restPair, depth)
+      .then(snapshot => {
+        // The live book may have beaten the REST round trip
+        if (cancelled || !snapshot || bookSourceRef.current === 'live') return
+        if (snapshot.bids.length === 0 || snapshot.asks.length === 0) return
+
+        const bestBid = snapshot.bids[0].price
+        const bestAsk = snapshot.asks[0].price
+        bookSourceRef.current = 'rest'
+        setBookSource('rest')
+        showBook(unpackLevels(packLevels(snapshot.bids)), unpackLevels(packLevels(snapshot.asks)), (bestBid + bestAsk) / 2, bestAsk - bestBid)
+      })
+      .catch(e => console.warn(`[HAVDEPTH] REST snapshot failed for ${restPair}`, e))
 
-  // Draw depth chart
+    return () => { cancelled = true }
+  }, [restPair, depth, replaying, krakenFeed])
+
+  // The canvases follow their container's size, and the screen's pixel ratio
   useEffect(() => {
-    const canvas = canvasRef.current
-    if (!canvas || bids.length === 0 || asks.length === 0) return
-
-    const ctx = canvas.getContext('2d')
-    const width = canvas.width
-    const height = canvas.height
-    const padding = 40
-
-    // Clear
-    ctx.fillStyle = '#0a0e14'
-    ctx.fillRect(0, 0, width, height)
-
-    // Calculate cumulative volumes
-    let cumBids = []
-    let cumAsks = []
-    let cumVol = 0
-
-    for (let i = 0; i < bids.length; i++) {
-      cumVol += getQty(bids[i])
-      cumBids.push({ price: getPrice(bids[i]), volume: cumVol })
+    const area = chartAreaRef.current
+    const measure = () => {
+      const { width, height } = area.getBoundingClientRect()
+      setChartSize({ width, height, dpr: window.devicePixelRatio || 1 })
     }
+    const observer = new ResizeObserver(measure)
+    observer.observe(area)
 
-    cumVol = 0
-    for (let i = 0; i < asks.length; i++) {
-      cumVol += getQty(asks[i])
-      cumAsks.push({ price: getPrice(asks[i]), volume: cumVol })
+    // Moving the window to a screen with a different pixel ratio doesn't resize anything
+    const dprQuery = matchMedia(`(resolution: ${chartSize.dpr}dppx)`)
+    dprQuery.addEventListener('change', measure)
+    return () => {
+      observer.disconnect()
+      dprQuery.removeEventListener('change', measure)
     }
+  }, [chartSize.dpr])
 
-    if (cumBids.length === 0 || cumAsks.length === 0) return
-
-    // Find ranges
-    const maxVolume = Math.max(
-      cumBids[cumBids.length - 1]?.volume || 0,
-      cumAsks[cumAsks.length - 1]?.volume || 0
-    )
-    const minPrice = cumBids[cumBids.length - 1]?.price || 0
-    const maxPrice = cumAsks[cumAsks.length - 1]?.price || 0
-    const priceRange = maxPrice - minPrice
-
-    if (priceRange <= 0 || maxVolume <= 0) return
-
-    const chartWidth = width - padding * 2
-    const chartHeight = height - padding * 2
-
-    // Helper functions
-    const priceToX = (price) => padding + ((price - minPrice) / priceRange) * chartWidth
-    const volumeToY = (vol) => padding + chartHeight - (vol / maxVolume) * chartHeight
-
-    // Draw grid
-    ctx.strokeStyle = '#1a1f29'
-    ctx.lineWidth = 1
-    for (let i = 0; i <= 5; i++) {
-      const y = padding + (i / 5) * chartHeight
-      ctx.beginPath()
-      ctx.moveTo(padding, y)
-      ctx.lineTo(width - padding, y)
-      ctx.stroke()
-    }
+  useEffect(() => {
+    const onFullscreenChange = () => setFullscreen(document.fullscreenElement === chartContainerRef.current)
+    document.addEventListener('fullscreenchange', onFullscreenChange)
+    return () => document.removeEventListener('fullscreenchange', onFullscreenChange)
+  }, [])
+
+  const toggleFullscreen = () => {
+    if (document.fullscreenElement) document.exitFullscreen()
+    else chartContainerRef.current.requestFullscreen().catch(e => console.warn('[HAVDEPTH] Fullscreen unavailable', e))
+  }
+
+  // A new view object tells the render loop to redraw on its next frame
+  useEffect(() => {
+    const impact = { bids: Number(impactSizes.sell), asks: Number(impactSizes.buy) }
+    const style = { mode: chartMode, levelBars, features: showFeatures, impact }
+    viewRef.current = { zoom, hover, size: chartSize, style }
+  }, [zoom, hover, chartSize, chartMode, levelBars, showFeatures, impactSizes])
+
+  useEffect(() => {
+    frameCapRef.current = frameCapMs
+  }, [frameCapMs])
 
-    // Draw bid area (green)
-    ctx.beginPath()
-    ctx.moveTo(priceToX(cumBids[0].price), volumeToY(0))
-    cumBids.forEach(({ price, volume }) => {
-      ctx.lineTo(priceToX(price), volumeToY(volume))
-    })
-    ctx.lineTo(priceToX(cumBids[cumBids.length - 1].price), volumeToY(0))
-    ctx.closePath()
-
-    const bidGradient = ctx.createLinearGradient(0, padding, 0, height - padding)
-    bidGradient.addColorStop(0, 'rgba(0, 255, 136, 0.4)')
-    bidGradient.addColorStop(1, 'rgba(0, 255, 136, 0.05)')
-    ctx.fillStyle = bidGradient
-    ctx.fill()
-
-    // Draw bid line
-    ctx.beginPath()
-    ctx.moveTo(priceToX(cumBids[0].price), volumeToY(cumBids[0].volume))
-    cumBids.forEach(({ price, volume }) => {
-      ctx.lineTo(priceToX(price), volumeToY(volume))
-    })
-    ctx.strokeStyle = '#00FF88'
-    ctx.lineWidth = 2
-    ctx.stroke()
-
-    // Draw ask area (red)
-    ctx.beginPath()
-    ctx.moveTo(priceToX(cumAsks[0].price), volumeToY(0))
-    cumAsks.forEach(({ price, volume }) => {
-      ctx.lineTo(priceToX(price), volumeToY(volume))
-    })
-    ctx.lineTo(priceToX(cumAsks[cumAsks.length - 1].price), volumeToY(0))
-    ctx.closePath()
-
-    const askGradient = ctx.createLinearGradient(0, padding, 0, height - padding)
-    askGradient.addColorStop(0, 'rgba(255, 68, 68, 0.4)')
-    askGradient.addColorStop(1, 'rgba(255, 68, 68, 0.05)')
-    ctx.fillStyle = askGradient
-    ctx.fill()
-
-    // Draw ask line
-    ctx.beginPath()
-    ctx.moveTo(priceToX(cumAsks[0].price), volumeToY(cumAsks[0].volume))
-    cumAsks.forEach(({ price, volume }) => {
-      ctx.lineTo(priceToX(price), volumeToY(volume))
-    })
-    ctx.strokeStyle = '#FF4444'
-    ctx.lineWidth = 2
-    ctx.stroke()
-
-    // Draw mid price line
-    if (midPrice) {
-      ctx.beginPath()
-      ctx.moveTo(priceToX(midPrice), padding)
-      ctx.lineTo(priceToX(midPrice), height - padding)
-      ctx.strokeStyle = '#FFD700'
-      ctx.lineWidth = 1
-      ctx.setLineDash([5, 5])
-      ctx.stroke()
-      ctx.setLineDash([])
+  // Render loop: the chart draws the latest book from refs on animation frames instead of on
+  // React renders. Book changes redraw at most once per frame cap; view changes on the next frame.
+  useEffect(() => {
+    let frame
+    let drawnView = null
+    let drawnVersion = -1
+    let drawnAt = -Infinity
+
+    const render = (now) => {
+      frame = requestAnimationFrame(render)
+      const view = viewRef.current
+      const book = liveBookRef.current
+      const bookDue = book.version !== drawnVersion && now - drawnAt >= frameCapRef.current - FRAME_SLACK_MS
+      if (!view || (view === drawnView && !bookDue)) return
+      drawnView = view
+      drawnVersion = book.version
+      drawnAt = now
+
+      const { zoom, hover, size, style } = view
+      const layout = chartLayout(book.bids, book.asks, zoomWindow(zoom, book.midPrice), size.width, size.height)
+      layoutRef.current = layout
+      drawDepthChart(prepareCanvas(canvasRef.current, size), book, layout, size, style)
+
+      // The crosshair lives on its own canvas, cleared when the pointer leaves
+      const overlay = prepareCanvas(overlayRef.current, size)
+      overlay.clearRect(0, 0, size.width, size.height)
+      const crosshair = findCrosshair(hover, layout, book)
+      if (crosshair) drawCrosshair(overlay, crosshair, layout)
+      setCrosshair(prev => sameCrosshair(prev, crosshair) ? prev : crosshair)
     }
+    frame = requestAnimationFrame(render)
+    return () => cancelAnimationFrame(frame)
+  }, [])
 
-    // Draw price labels
-    ctx.fillStyle = '#666'
-    ctx.font = '11px SF Mono'
-    ctx.textAlign = 'center'
+  const toCanvasPoint = (e) => {
+    const rect = chartAreaRef.current.getBoundingClientRect()
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top }
+  }
+
+  // Wheel zoom keeps the price under the pointer in place, or stays centered while following mid.
+  // Registered natively because React's wheel listeners are passive and can't stop the page scrolling.
+  useEffect(() => {
+    const area = chartAreaRef.current
 
-    const priceStep = priceRange / 5
-    for (let i = 0; i <= 5; i++) {
-      const price = minPrice + priceStep * i
-      ctx.fillText('$' + price.toLocaleString(undefined, { maximumFractionDigits: 0 }), priceToX(price), height - 10)
+    const onWheel = (e) => {
+      e.preventDefault()
+      const layout = layoutRef.current
+      const { bids, asks, midPrice } = liveBookRef.current
+      const full = fullBookHalfWidthPct(bids, asks, midPrice)
+      if (!layout || !full) return
+      const factor = e.deltaY > 0 ? 1.2 : 1 / 1.2
+      const anchor = layout.xToPrice(toCanvasPoint(e).x)
+      const center = (layout.minPrice + layout.maxPrice) / 2
+
+      setZoom(zoom => {
+        const halfWidthPct = (zoom?.halfWidthPct ?? full) * factor
+        if (halfWidthPct >= full) return null
+        if (zoom && zoom.center === null) return { center: null, halfWidthPct }
+        return { center: anchor + (center - anchor) * factor, halfWidthPct }
+      })
     }
+    area.addEventListener('wheel', onWheel, { passive: false })
+    return () => area.removeEventListener('wheel', onWheel)
+  }, [])
 
-    // Draw volume labels
-    ctx.textAlign = 'right'
-    for (let i = 0; i <= 4; i++) {
-      const vol = (maxVolume / 4) * (4 - i)
-      ctx.fillText(vol.toFixed(2), padding - 5, padding + (i / 4) * chartHeight + 4)
+  // Dragging pans the window, which stops it following mid
+  const handleChartPointerDown = (e) => {
+    const layout = layoutRef.current
+    const { bids, asks, midPrice } = liveBookRef.current
+    if (!layout || !midPrice) return
+    e.currentTarget.setPointerCapture(e.pointerId)
+    dragRef.current = {
+      startX: toCanvasPoint(e).x,
+      startCenter: (layout.minPrice + layout.maxPrice) / 2,
+      pricePerPx: layout.priceRange / layout.chartWidth,
+      halfWidthPct: zoom?.halfWidthPct ?? fullBookHalfWidthPct(bids, asks, midPrice),
     }
+  }
 
-  }, [bids, asks, midPrice])
+  const handleChartPointer = (e) => {
+    const point = toCanvasPoint(e)
+    setHover(point)
+    const drag = dragRef.current
+    if (drag) {
+      setZoom({ center: drag.startCenter - (point.x - drag.startX) * drag.pricePerPx, halfWidthPct: drag.halfWidthPct })
+    }
+  }
 
   const coinSymbol = selectedSymbol.split('/')[0]
+  const selectedStatus = bookStatus[selectedSymbol]
+  const totalResyncs = Object.values(bookStatus).reduce((s, b) => s + b.resyncs, 0)
+  const liveBooks = Object.keys(bookStatus).length
 
   return (
     <div style={styles.container}>
@@ -316,27 +564,35 @@ export default function App() {
             SDK
           </span>
         </div>
-        <div style={styles.symbolSelector}>
-          {SYMBOLS.map(sym => (
-            <button
-              key={sym}
-              style={{
-                ...styles.symbolBtn,
-                background: selectedSymbol === sym ? '#00D9FF' : 'transparent',
-                color: selectedSymbol === sym ? '#0a0e14' : '#b3b1ad',
-              }}
-              onClick={() => handleSymbolChange(sym)}
-            >
-              {sym.split('/')[0]}
-            </button>
-          ))}
-        </div>
+        <SymbolPicker
+          catalog={catalog}
+          selectedSymbol={selectedSymbol}
+          bookStatus={bookStatus}
+          rejected={rejected}
+          pinned={pinned}
+          onSelect={handleSymbolChange}
+          onTogglePin={togglePin}
+        />
         <div style={styles.statusBar}>
+          <FeedPicker source={feedSource} onChange={handleFeedChange} />
           <span style={{
             ...styles.statusDot,
             background: status === 'Connected' ? '#00FF88' : '#FF4444'
           }} />
           <span>{status}</span>
+          <span style={{ color: '#666' }} title="Books currently subscribed">· {liveBooks} books</span>
+          {totalResyncs > 0 && <span style={{ color: '#666' }}>· {totalResyncs} resyncs</span>}
+          <span
+            style={{ color: ingest.lagMs > INGEST_LAG_WARN_MS ? '#FF4444' : '#666' }}
+            title="Messages waiting to be applied, and how long the last one waited"
+          >
+            · backlog {ingest.backlog} · lag {Math.round(ingest.lagMs)}ms
+          </span>
+          {reconnect && (
+            <span style={{ color: '#666' }}>
+              attempt {reconnect.attempt} · next retry {new Date(reconnect.nextRetryAt).toLocaleTimeString()}
+            </span>
+          )}
         </div>
       </header>
 
@@ -354,34 +610,207 @@ export default function App() {
           </div>
         </div>
         <div style={styles.statCard}>
-          <div style={styles.statLabel}>BID DEPTH</div>
+          <div style={styles.statLabel} title="Every subscribed level; see the band table for liquidity near mid">BID DEPTH · {bids.length} LEVELS</div>
           <div style={{ ...styles.statValue, color: '#00FF88' }}>
-            {bids.reduce((s, b) => s + getQty(b), 0).toFixed(4)} {coinSymbol}
+            {totalQty(bids).toFixed(4)} {coinSymbol}
           </div>
         </div>
         <div style={styles.statCard}>
-          <div style={styles.statLabel}>ASK DEPTH</div>
+          <div style={styles.statLabel} title="Every subscribed level; see the band table for liquidity near mid">ASK DEPTH · {asks.length} LEVELS</div>
           <div style={{ ...styles.statValue, color: '#FF4444' }}>
-            {asks.reduce((s, a) => s + getQty(a), 0).toFixed(4)} {coinSymbol}
+            {totalQty(asks).toFixed(4)} {coinSymbol}
           </div>
         </div>
+        <ImbalanceGauge
+          imbalance={imbalance}
+          bandBps={imbalanceBandBps}
+          topLevels={imbalanceTopLevels}
+          onBandChange={setImbalanceBandBps}
+          onTopLevelsChange={setImbalanceTopLevels}
+        />
       </div>
 
-      <div style={styles.chartContainer}>
-        <h2 style={styles.sectionTitle}>CUMULATIVE DEPTH — <span style={{ color: '#FFD700' }}>{selectedSymbol}</span></h2>
-        <div style={styles.legend}>
-          <span style={{ color: '#00FF88' }}>● Bids (Buy Orders)</span>
-          <span style={{ color: '#FF4444' }}>● Asks (Sell Orders)</span>
-          <span style={{ color: '#FFD700' }}>┊ Mid Price</span>
+      <ImbalanceSeries samples={imbalanceSamples} bandBps={imbalanceBandBps} topLevels={imbalanceTopLevels} />
+
+      <div style={styles.chartRow}>
+        <div ref={chartContainerRef} style={{ ...styles.chartContainer, ...(fullscreen && styles.chartFullscreen) }}>
+          <h2 style={{ ...styles.sectionTitle, display: 'flex', alignItems: 'center' }}>
+            <span>CUMULATIVE DEPTH — <span style={{ color: '#FFD700' }}>{selectedSymbol}</span></span>
+            {replaying ? (
+              <span style={{ ...styles.sourceBadge, background: '#B388FF' }} title={`Replaying ${replay.fileName}`}>
+                REPLAY
+              </span>
+            ) : bookSource && (
+              <span
+                style={{ ...styles.sourceBadge, background: bookSource === 'rest' ? '#FFA500' : '#00FF88' }}
+                title={bookSource === 'rest' ? 'Showing a REST snapshot until the live book arrives' : 'Live WebSocket book'}
+              >
+                {bookSource === 'rest' ? 'REST SNAPSHOT' : 'LIVE'}
+              </span>
+            )}
+            <button style={{ ...styles.select, marginLeft: 'auto' }} onClick={toggleFullscreen}>
+              {fullscreen ? 'Exit fullscreen' : '⛶ Fullscreen'}
+            </button>
+          </h2>
+          <div style={styles.legend}>
+            <span style={{ color: '#00FF88' }}>● Bids (Buy Orders)</span>
+            <span style={{ color: '#FF4444' }}>● Asks (Sell Orders)</span>
+            <span style={{ color: '#FFD700' }}>┊ Mid Price</span>
+            <span style={{ marginLeft: 'auto', color: syncColor(selectedStatus, rejected[selectedSymbol]) }}>
+              {describeStatus(selectedStatus, rejected[selectedSymbol])}
+              {rejected[selectedSymbol] && (
+                <a
+                  href="#"
+                  style={{ color: '#00D9FF', marginLeft: '8px' }}
+                  onClick={(e) => {
+                    e.preventDefault()
+                    workerRef.current?.postMessage({ type: 'retry', symbol: selectedSymbol })
+                  }}
+                >
+                  retry
+                </a>
+              )}
+            </span>
+            <span style={styles.buttonGroup}>
+              {['step', 'smooth'].map(mode => (
+                <button
+                  key={mode}
+                  style={{ ...styles.select, color: chartMode === mode ? '#00D9FF' : '#b3b1ad' }}
+                  onClick={() => setChartMode(mode)}
+                  title={mode === 'step' ? 'Hold each cumulative total flat until the next level' : 'Join levels with straight segments'}
+                >
+                  {mode === 'step' ? 'Step' : 'Smooth'}
+                </button>
+              ))}
+              <button
+                style={{ ...styles.select, color: levelBars ? '#00D9FF' : '#b3b1ad' }}
+                onClick={() => setLevelBars(!levelBars)}
+                title="Overlay each level's own size as a bar, scaled to the largest level in view"
+              >
+                Level bars
+              </button>
+              <button
+                style={{ ...styles.select, color: showFeatures ? '#00D9FF' : '#b3b1ad' }}
+                onClick={() => setShowFeatures(!showFeatures)}
+                title="Label walls and shade gaps on the chart"
+              >
+                Walls & gaps
+              </button>
+            </span>
+            <span style={styles.buttonGroup} title="Scroll to zoom, drag to pan">
+              {ZOOM_PRESETS.map(({ label, halfWidthPct }) => (
+                <button
+                  key={label}
+                  style={{ ...styles.select, color: zoom?.halfWidthPct === halfWidthPct ? '#00D9FF' : '#b3b1ad' }}
+                  onClick={() => setZoom({ center: null, halfWidthPct })}
+                >
+                  {label}
+                </button>
+              ))}
+              <button
+                style={{ ...styles.select, color: zoom ? '#b3b1ad' : '#00D9FF' }}
+                onClick={() => setZoom(null)}
+              >
+                Full
+              </button>
+              <button
+                style={{ ...styles.select, color: zoom?.center === null ? '#00D9FF' : '#b3b1ad' }}
+                disabled={!zoom}
+                onClick={() => setZoom(z => ({ ...z, center: z.center === null ? liveBookRef.current.midPrice : null }))}
+                title="Keep the zoomed window centered on the mid price"
+              >
+                Follow mid
+              </button>
+            </span>
+            <select
+              style={styles.select}
+              value={depth}
+              onChange={(e) => handleDepthChange(Number(e.target.value))}
+              disabled={replaying}
+              title={replaying ? 'A replay plays at its recorded depth' : 'Book depth subscribed from Kraken'}
+            >
+              {DEPTHS.map(d => (
+                <option key={d} value={d}>{d} levels</option>
+              ))}
+            </select>
+            <select
+              style={styles.select}
+              value={publishIntervalMs}
+              onChange={(e) => setPublishIntervalMs(Number(e.target.value))}
+              title="How often the worker pushes book updates to the chart"
+            >
+              {PUBLISH_INTERVALS.map(({ label, ms }) => (
+                <option key={ms} value={ms}>{label}</option>
+              ))}
+            </select>
+            <select
+              style={styles.select}
+              value={frameCapMs}
+              onChange={(e) => setFrameCapMs(Number(e.target.value))}
+              title="Most often the chart redraws for book updates"
+            >
+              {FRAME_CAPS.map(({ label, ms }) => (
+                <option key={ms} value={ms}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div
+            ref={chartAreaRef}
+            style={{ ...styles.chartArea, ...(fullscreen ? { flex: 1 } : { height: CHART_HEIGHT }) }}
+            onPointerDown={handleChartPointerDown}
+            onPointerMove={handleChartPointer}
+            onPointerUp={() => { dragRef.current = null }}
+            onPointerLeave={() => setHover(null)}
+          >
+            <canvas ref={canvasRef} style={styles.canvas} />
+            <canvas ref={overlayRef} style={styles.overlay} />
+            {crosshair && (
+              <div
+                style={{
+                  ...styles.tooltip,
+                  top: crosshair.y,
+                  // Flip to the left of the crosshair on the right half, so it stays on screen
+                  ...(crosshair.x > chartSize.width / 2
+                    ? { right: chartSize.width - crosshair.x + 12 }
+                    : { left: crosshair.x + 12 }),
+                }}
+              >
+                <div style={{ color: crosshair.isBid ? '#00FF88' : '#FF4444', fontWeight: 'bold' }}>
+                  ${crosshair.summary.price.toLocaleString(undefined, { maximumFractionDigits: 8 })}
+                </div>
+                <div>Cum. size <span style={styles.tooltipValue}>{crosshair.summary.cumQty.toFixed(4)} {coinSymbol}</span></div>
+                <div>Cum. notional <span style={styles.tooltipValue}>${crosshair.summary.cumNotional.toLocaleString(undefined, { maximumFractionDigits: 0 })}</span></div>
+                {crosshair.summary.distancePct !== null && (
+                  <div>
+                    From mid <span style={styles.tooltipValue}>
+                      {crosshair.summary.distancePct.toFixed(3)}% · {crosshair.summary.distanceBps.toFixed(1)} bps
+                    </span>
+                  </div>
+                )}
+                <div>Levels <span style={styles.tooltipValue}>{crosshair.summary.levelsConsumed}</span></div>
+              </div>
+            )}
+          </div>
         </div>
-        <canvas
-          ref={canvasRef}
-          width={900}
-          height={400}
-          style={styles.canvas}
+        <BookFeaturesPanel
+          features={features}
+          wallMultiple={wallMultiple}
+          onWallMultipleChange={setWallMultiple}
+          coinSymbol={coinSymbol}
         />
       </div>
 
+      <MarketSeries samples={seriesSamples} symbol={selectedSymbol} />
+
+      <ImpactCalculator
+        bids={bids}
+        asks={asks}
+        midPrice={midPrice}
+        coinSymbol={coinSymbol}
+        sizes={impactSizes}
+        onChange={setImpactSizes}
+      />
+
       <div style={styles.levelTables}>
         <div style={styles.levelTable}>
           <h3 style={{ ...styles.tableTitle, color: '#00FF88' }}>TOP BIDS</h3>
@@ -390,21 +819,13 @@ export default function App() {
             <span>Quantity</span>
             <span>Cumulative</span>
           </div>
-          {(() => {
-            let cum = 0
-            return bids.slice(0, 10).map((bid, i) => {
-              const price = getPrice(bid)
-              const qty = getQty(bid)
-              cum += qty
-              return (
-                <div key={i} style={styles.tableRow}>
-                  <span style={{ color: '#FFD700' }}>${price.toLocaleString()}</span>
-                  <span>{qty.toFixed(4)}</span>
-                  <span style={{ color: '#00FF88' }}>{cum.toFixed(4)}</span>
-                </div>
-              )
-            })
-          })()}
+          {Array.from({ length: Math.min(10, bids.length) }, (_, i) => (
+            <div key={i} style={styles.tableRow}>
+              <span style={{ color: '#FFD700' }}>${bids.price[i].toLocaleString()}</span>
+              <span>{bids.qty[i].toFixed(4)}</span>
+              <span style={{ color: '#00FF88' }}>{bids.cum[i].toFixed(4)}</span>
+            </div>
+          ))}
         </div>
 
         <div style={styles.levelTable}>
@@ -414,24 +835,44 @@ export default function App() {
             <span>Quantity</span>
             <span>Cumulative</span>
           </div>
-          {(() => {
-            let cum = 0
-            return asks.slice(0, 10).map((ask, i) => {
-              const price = getPrice(ask)
-              const qty = getQty(ask)
-              cum += qty
-              return (
-                <div key={i} style={styles.tableRow}>
-                  <span style={{ color: '#FFD700' }}>${price.toLocaleString()}</span>
-                  <span>{qty.toFixed(4)}</span>
-                  <span style={{ color: '#FF4444' }}>{cum.toFixed(4)}</span>
-                </div>
-              )
-            })
-          })()}
+          {Array.from({ length: Math.min(10, asks.length) }, (_, i) => (
+            <div key={i} style={styles.tableRow}>
+              <span style={{ color: '#FFD700' }}>${asks.price[i].toLocaleString()}</span>
+              <span>{asks.qty[i].toFixed(4)}</span>
+              <span style={{ color: '#FF4444' }}>{asks.cum[i].toFixed(4)}</span>
+            </div>
+          ))}
         </div>
       </div>
 
+      <LiquidityTable liquidity={liquidity} selectedSymbol={selectedSymbol} />
+
+      <ReplayControls
+        replay={replay}
+        onLoad={(file) => workerRef.current?.postMessage({ type: 'replay', action: 'load', file })}
+        onCommand={(command) => workerRef.current?.postMessage({ type: 'replay', ...command })}
+      />
+
+      <Recorder
+        recording={recording}
+        replaying={replaying}
+        onStart={() => workerRef.current?.postMessage({ type: 'record', action: 'start' })}
+        onStop={() => workerRef.current?.postMessage({ type: 'record', action: 'stop' })}
+        onDownload={() => workerRef.current?.postMessage({ type: 'record', action: 'export' })}
+        onDiscard={() => workerRef.current?.postMessage({ type: 'record', action: 'discard' })}
+      />
+
+      <HealthPanel health={health} ingest={ingest} selectedSymbol={selectedSymbol} />
+
+      <ErrorLog
+        entries={errorLog}
+        counts={errorCounts}
+        onClear={() => {
+          setErrorLog([])
+          setErrorCounts({})
+        }}
+      />
+
       <footer style={styles.footer}>
         Powered by <span style={{ color: '#00D9FF' }}>Havklo SDK</span> | Real-time data from Kraken WebSocket v2
       </footer>
@@ -462,20 +903,6 @@ const styles = {
     letterSpacing: '4px',
     margin: 0,
   },
-  symbolSelector: {
-    display: 'flex',
-    gap: '8px',
-  },
-  symbolBtn: {
-    padding: '6px 12px',
-    border: '1px solid #2a2e38',
-    borderRadius: '4px',
-    cursor: 'pointer',
-    fontSize: '12px',
-    fontWeight: 'bold',
-    fontFamily: "'SF Mono', monospace",
-    transition: 'all 0.2s',
-  },
   statusBar: {
     display: 'flex',
     alignItems: 'center',
@@ -489,7 +916,7 @@ const styles = {
   },
   stats: {
     display: 'grid',
-    gridTemplateColumns: 'repeat(4, 1fr)',
+    gridTemplateColumns: 'repeat(4, 1fr) 1.5fr',
     gap: '15px',
     marginBottom: '25px',
   },
@@ -510,12 +937,18 @@ const styles = {
     fontSize: '16px',
     fontWeight: 'bold',
   },
+  chartRow: {
+    display: 'flex',
+    gap: '25px',
+    marginBottom: '25px',
+  },
   chartContainer: {
+    flex: 1,
+    minWidth: 0,
     background: '#12171f',
     borderRadius: '8px',
     padding: '20px',
     border: '1px solid #2a2e38',
-    marginBottom: '25px',
   },
   sectionTitle: {
     color: '#00D9FF',
@@ -524,17 +957,80 @@ const styles = {
     marginBottom: '10px',
     marginTop: 0,
   },
+  chartFullscreen: {
+    display: 'flex',
+    flexDirection: 'column',
+    height: '100vh',
+    boxSizing: 'border-box',
+    marginBottom: 0,
+    borderRadius: 0,
+  },
+  sourceBadge: {
+    marginLeft: '10px',
+    padding: '2px 6px',
+    borderRadius: '4px',
+    color: '#0a0e14',
+    fontSize: '10px',
+    letterSpacing: '1px',
+  },
   legend: {
     display: 'flex',
+    flexWrap: 'wrap',
     gap: '20px',
     marginBottom: '15px',
     fontSize: '12px',
   },
+  select: {
+    background: '#0a0e14',
+    color: '#b3b1ad',
+    border: '1px solid #2a2e38',
+    borderRadius: '4px',
+    padding: '2px 6px',
+    fontSize: '11px',
+    fontFamily: "'SF Mono', monospace",
+  },
+  buttonGroup: {
+    display: 'flex',
+    gap: '4px',
+  },
+  chartArea: {
+    position: 'relative',
+    cursor: 'crosshair',
+    touchAction: 'none',
+  },
   canvas: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
     width: '100%',
-    height: 'auto',
+    height: '100%',
     display: 'block',
   },
+  overlay: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    width: '100%',
+    height: '100%',
+    pointerEvents: 'none',
+  },
+  tooltip: {
+    position: 'absolute',
+    transform: 'translateY(-50%)',
+    background: 'rgba(18, 23, 31, 0.95)',
+    border: '1px solid #2a2e38',
+    borderRadius: '4px',
+    padding: '8px 10px',
+    fontSize: '11px',
+    lineHeight: 1.6,
+    color: '#666',
+    pointerEvents: 'none',
+    whiteSpace: 'nowrap',
+  },
+  tooltipValue: {
+    color: '#b3b1ad',
+    marginLeft: '6px',
+  },
   levelTables: {
     display: 'grid',
     gridTemplateColumns: '1fr 1fr',
@@ -0,0 +1,116 @@
+import { WALL_MULTIPLES } from './config.js'
+
+const formatPrice = (price) => '$' + price.toLocaleString(undefined, { maximumFractionDigits: 8 })
+const formatBps = (bps) => bps === null ? '---' : `${bps.toFixed(1)} bps`
+
+const SIDES = [
+  { key: 'asks', label: 'ASKS', color: '#FF4444' },
+  { key: 'bids', label: 'BIDS', color: '#00FF88' },
+]
+
+export default function BookFeaturesPanel({ features, wallMultiple, onWallMultipleChange, coinSymbol }) {
+  // The panel takes the chart's height and scrolls, rather than stretching the row
+  return (
+    <div style={styles.slot}>
+      <div style={styles.panel}>
+        <div style={styles.heading}>
+          <h3 style={styles.title}>WALLS & GAPS</h3>
+          <select
+            style={styles.select}
+            value={wallMultiple}
+            onChange={(e) => onWallMultipleChange(Number(e.target.value))}
+            title="A wall is a level at least this many times the median size of its neighbours"
+          >
+            {WALL_MULTIPLES.map(m => (
+              <option key={m} value={m}>{m}× median</option>
+            ))}
+          </select>
+        </div>
+
+        {SIDES.map(({ key, label, color }) => {
+          const { walls, gaps } = features[key]
+          return (
+            <div key={key} style={styles.section}>
+              <div style={{ ...styles.sectionTitle, color }}>{label} · WALLS</div>
+              {walls.length === 0 && <div style={styles.empty}>None</div>}
+              {walls.map(wall => (
+                <div key={wall.price} style={styles.row} title={`${wall.multiple.toFixed(1)}× the local median`}>
+                  <span style={{ color: '#FFD700' }}>{formatPrice(wall.price)}</span>
+                  <span>{wall.qty.toFixed(4)} {coinSymbol}</span>
+                  <span style={{ color: '#666' }}>{formatBps(wall.distanceBps)}</span>
+                </div>
+              ))}
+
+              <div style={{ ...styles.sectionTitle, color: '#FFA500' }}>{label} · GAPS</div>
+              {gaps.length === 0 && <div style={styles.empty}>None</div>}
+              {gaps.map(gap => (
+                <div key={gap.fromPrice} style={styles.row} title={`${gap.qty.toFixed(4)} ${coinSymbol} resting inside`}>
+                  <span>{formatPrice(gap.fromPrice)} → {formatPrice(gap.toPrice)}</span>
+                  <span style={{ color: '#666' }}>{formatBps(gap.widthBps)} wide</span>
+                </div>
+              ))}
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+const styles = {
+  slot: {
+    position: 'relative',
+    width: '300px',
+    flexShrink: 0,
+  },
+  panel: {
+    position: 'absolute',
+    inset: 0,
+    background: '#12171f',
+    borderRadius: '8px',
+    padding: '20px',
+    border: '1px solid #2a2e38',
+    overflowY: 'auto',
+  },
+  heading: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '15px',
+  },
+  title: {
+    color: '#00D9FF',
+    fontSize: '12px',
+    letterSpacing: '2px',
+    margin: 0,
+  },
+  select: {
+    background: '#0a0e14',
+    color: '#b3b1ad',
+    border: '1px solid #2a2e38',
+    borderRadius: '4px',
+    padding: '2px 6px',
+    fontSize: '11px',
+    fontFamily: "'SF Mono', monospace",
+  },
+  section: {
+    marginBottom: '15px',
+  },
+  sectionTitle: {
+    fontSize: '10px',
+    letterSpacing: '1px',
+    margin: '10px 0 4px',
+  },
+  empty: {
+    color: '#666',
+    fontSize: '11px',
+  },
+  row: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    gap: '8px',
+    padding: '3px 0',
+    borderBottom: '1px solid #1a1f29',
+    fontSize: '11px',
+  },
+}
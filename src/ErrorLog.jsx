@@ -0,0 +1,138 @@
+import { useState } from 'react'
+import { ERROR_CLASSES } from './errors.js'
+
+export default function ErrorLog({ entries, counts, onClear }) {
+  const [openId, setOpenId] = useState(null)
+
+  return (
+    <div style={styles.panel}>
+      <div style={styles.heading}>
+        <h3 style={styles.title}>ERROR LOG</h3>
+        {entries.length > 0 && <button style={styles.clear} onClick={onClear}>Clear</button>}
+      </div>
+
+      <div style={styles.counters}>
+        {Object.entries(ERROR_CLASSES).map(([errorClass, label]) => (
+          <div key={errorClass}>
+            <div style={styles.label}>{label.toUpperCase()}</div>
+            <div style={{ ...styles.count, color: counts[errorClass] ? '#FF4444' : '#666' }}>
+              {counts[errorClass] || 0}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div style={styles.list}>
+        {entries.length === 0 && <div style={{ color: '#666', fontSize: '12px' }}>No errors</div>}
+        {entries.map(entry => (
+          <div key={entry.id} style={styles.entry}>
+            <div style={styles.entryLine}>
+              <span style={{ color: '#666' }}>{new Date(entry.time).toLocaleTimeString()}</span>
+              <span style={{ color: '#FF4444' }}>{ERROR_CLASSES[entry.errorClass]}</span>
+              <span style={{ color: '#FFD700' }}>{entry.symbol || '---'}</span>
+              <span style={styles.message} title={entry.message}>{entry.message}</span>
+              {entry.raw && (
+                <a
+                  href="#"
+                  style={styles.rawLink}
+                  onClick={(e) => {
+                    e.preventDefault()
+                    setOpenId(openId === entry.id ? null : entry.id)
+                  }}
+                >
+                  {openId === entry.id ? 'hide raw' : 'raw'}
+                </a>
+              )}
+            </div>
+            {openId === entry.id && <pre style={styles.raw}>{entry.raw}</pre>}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+const styles = {
+  panel: {
+    background: '#12171f',
+    borderRadius: '8px',
+    padding: '20px',
+    border: '1px solid #2a2e38',
+    marginBottom: '25px',
+  },
+  heading: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '15px',
+  },
+  title: {
+    color: '#00D9FF',
+    fontSize: '12px',
+    letterSpacing: '2px',
+    margin: 0,
+  },
+  clear: {
+    background: 'transparent',
+    color: '#b3b1ad',
+    border: '1px solid #2a2e38',
+    borderRadius: '4px',
+    padding: '2px 8px',
+    fontSize: '11px',
+    fontFamily: "'SF Mono', monospace",
+    cursor: 'pointer',
+  },
+  counters: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(5, 1fr)',
+    gap: '15px',
+    marginBottom: '15px',
+  },
+  label: {
+    color: '#666',
+    fontSize: '10px',
+    letterSpacing: '1px',
+    marginBottom: '4px',
+  },
+  count: {
+    fontSize: '16px',
+    fontWeight: 'bold',
+  },
+  list: {
+    maxHeight: '240px',
+    overflowY: 'auto',
+    borderTop: '1px solid #2a2e38',
+    paddingTop: '8px',
+  },
+  entry: {
+    borderBottom: '1px solid #1a1f29',
+    padding: '6px 0',
+    fontSize: '12px',
+  },
+  entryLine: {
+    display: 'grid',
+    gridTemplateColumns: '90px 180px 90px 1fr 70px',
+    gap: '10px',
+  },
+  message: {
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap',
+  },
+  rawLink: {
+    color: '#00D9FF',
+    textAlign: 'right',
+  },
+  raw: {
+    marginTop: '6px',
+    padding: '8px',
+    background: '#0a0e14',
+    border: '1px solid #2a2e38',
+    borderRadius: '4px',
+    maxHeight: '200px',
+    overflow: 'auto',
+    whiteSpace: 'pre-wrap',
+    wordBreak: 'break-all',
+    fontSize: '11px',
+  },
+}
@@ -0,0 +1,68 @@
+import { useState } from 'react'
+import { FEED_KINDS } from './feedSources.js'
+
+export default function FeedPicker({ source, onChange }) {
+  // A custom URL is only applied on Connect, not on every keystroke
+  const [url, setUrl] = useState(source.url || '')
+  const [kind, setKind] = useState(source.kind)
+  const validUrl = /^wss?:\/\/.+/.test(url)
+
+  const pickKind = (newKind) => {
+    setKind(newKind)
+    if (newKind !== 'custom') onChange({ kind: newKind, url: null })
+  }
+
+  return (
+    <span style={styles.picker}>
+      <select style={styles.select} value={kind} onChange={(e) => pickKind(e.target.value)} title="Where market data comes from">
+        {FEED_KINDS.map(({ kind, label }) => <option key={kind} value={kind}>{label}</option>)}
+      </select>
+      {kind === 'custom' && (
+        <>
+          <input
+            style={{ ...styles.input, borderColor: url && !validUrl ? '#FF4444' : '#2a2e38' }}
+            placeholder="ws://localhost:8080"
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && validUrl && onChange({ kind, url })}
+          />
+          <button
+            style={styles.select}
+            disabled={!validUrl || (source.kind === 'custom' && source.url === url)}
+            onClick={() => onChange({ kind, url })}
+          >
+            Connect
+          </button>
+        </>
+      )}
+    </span>
+  )
+}
+
+const styles = {
+  picker: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+  },
+  select: {
+    background: 'transparent',
+    color: '#b3b1ad',
+    border: '1px solid #2a2e38',
+    borderRadius: '4px',
+    padding: '2px 6px',
+    fontSize: '11px',
+    fontFamily: "'SF Mono', monospace",
+    cursor: 'pointer',
+  },
+  input: {
+    width: '180px',
+    background: '#0a0e14',
+    color: '#b3b1ad',
+    border: '1px solid #2a2e38',
+    borderRadius: '4px',
+    padding: '2px 6px',
+    fontSize: '11px',
+    fontFamily: "'SF Mono', monospace",
+  },
+}
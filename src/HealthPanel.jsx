@@ -0,0 +1,116 @@
+import { INGEST_LAG_WARN_MS } from './config.js'
+
+// A subscribed book with no update for this long is flagged as stale
+const STALE_AFTER_MS = 10000
+// Kraken sends a heartbeat about once a second while subscribed
+const HEARTBEAT_WARN_MS = 5000
+
+const formatMs = (ms) => {
+  if (ms === null || ms === undefined) return '---'
+  if (Math.abs(ms) >= 10000) return `${(ms / 1000).toFixed(0)}s`
+  if (Math.abs(ms) >= 1000) return `${(ms / 1000).toFixed(1)}s`
+  return `${ms.toFixed(ms < 10 ? 2 : 0)}ms`
+}
+
+export default function HealthPanel({ health, ingest, selectedSymbol }) {
+  const symbols = Object.entries(health?.symbols || {})
+  const heartbeatAge = health?.heartbeat.sinceMs ?? null
+
+  const summary = [
+    {
+      label: 'HEARTBEAT',
+      value: heartbeatAge === null ? 'none yet' : `${formatMs(heartbeatAge)} ago`,
+      warn: heartbeatAge === null || heartbeatAge > HEARTBEAT_WARN_MS,
+    },
+    { label: 'BACKLOG', value: ingest.backlog, warn: false },
+    { label: 'PROCESSING LAG', value: formatMs(ingest.lagMs), warn: ingest.lagMs > INGEST_LAG_WARN_MS },
+    { label: 'WASM APPLY MEAN', value: formatMs(health?.apply.meanMs), warn: false },
+    { label: 'WASM APPLY P99', value: formatMs(health?.apply.p99Ms), warn: false },
+    { label: 'CLOCK OFFSET', value: formatMs(health?.clockOffsetMs), warn: false },
+  ]
+
+  return (
+    <div style={styles.panel}>
+      <h3 style={styles.title}>FEED HEALTH</h3>
+
+      <div style={styles.summary}>
+        {summary.map(({ label, value, warn }) => (
+          <div key={label}>
+            <div style={styles.label}>{label}</div>
+            <div style={{ ...styles.value, color: warn ? '#FF4444' : '#b3b1ad' }}>{value}</div>
+          </div>
+        ))}
+      </div>
+
+      <div style={styles.tableHeader}>
+        <span>Symbol</span>
+        <span>Msg/s</span>
+        <span>Last update</span>
+        <span title="Exchange timestamp to receipt, corrected by the clock offset">Est. latency</span>
+      </div>
+      {symbols.map(([sym, stats]) => {
+        const stale = stats.sinceUpdateMs === null || stats.sinceUpdateMs > STALE_AFTER_MS
+        return (
+          <div key={sym} style={styles.tableRow}>
+            <span style={{ color: sym === selectedSymbol ? '#FFD700' : '#b3b1ad' }}>{sym}</span>
+            <span>{stats.rate.toFixed(1)}</span>
+            <span style={{ color: stale ? '#FF4444' : '#b3b1ad' }}>
+              {stats.sinceUpdateMs === null ? 'never' : `${formatMs(stats.sinceUpdateMs)} ago`}
+              {stale && ' · STALE'}
+            </span>
+            <span>{formatMs(stats.latencyMs)}</span>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+const styles = {
+  panel: {
+    background: '#12171f',
+    borderRadius: '8px',
+    padding: '20px',
+    border: '1px solid #2a2e38',
+    marginBottom: '25px',
+  },
+  title: {
+    color: '#00D9FF',
+    fontSize: '12px',
+    letterSpacing: '2px',
+    marginBottom: '15px',
+    marginTop: 0,
+  },
+  summary: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(6, 1fr)',
+    gap: '15px',
+    marginBottom: '15px',
+  },
+  label: {
+    color: '#666',
+    fontSize: '10px',
+    letterSpacing: '1px',
+    marginBottom: '4px',
+  },
+  value: {
+    fontSize: '13px',
+    fontWeight: 'bold',
+  },
+  tableHeader: {
+    display: 'grid',
+    gridTemplateColumns: '1fr 1fr 1fr 1fr',
+    padding: '8px 0',
+    borderBottom: '1px solid #2a2e38',
+    fontSize: '10px',
+    color: '#666',
+    letterSpacing: '1px',
+  },
+  tableRow: {
+    display: 'grid',
+    gridTemplateColumns: '1fr 1fr 1fr 1fr',
+    padding: '6px 0',
+    borderBottom: '1px solid #1a1f29',
+    fontSize: '12px',
+  },
+}
@@ -0,0 +1,118 @@
+import { IMBALANCE_BANDS_BPS, IMBALANCE_TOP_LEVELS } from './config.js'
+
+const imbalanceColor = (value) => value === null ? '#666' : value >= 0 ? '#00FF88' : '#FF4444'
+
+// A bar from -1 (ask-heavy, left) to 1 (bid-heavy, right), filled from the center
+function Gauge({ value }) {
+  const share = value === null ? 0 : Math.abs(value) * 50
+  return (
+    <div style={styles.track}>
+      <div
+        style={{
+          ...styles.fill,
+          width: `${share}%`,
+          background: imbalanceColor(value),
+          ...(value >= 0 ? { left: '50%' } : { right: '50%' }),
+        }}
+      />
+      <div style={styles.center} />
+    </div>
+  )
+}
+
+export default function ImbalanceGauge({ imbalance, bandBps, topLevels, onBandChange, onTopLevelsChange }) {
+  const rows = [
+    {
+      key: 'band',
+      value: imbalance.band,
+      control: (
+        <select style={styles.select} value={bandBps} onChange={(e) => onBandChange(Number(e.target.value))}>
+          {IMBALANCE_BANDS_BPS.map(bps => <option key={bps} value={bps}>±{bps} bps</option>)}
+        </select>
+      ),
+    },
+    {
+      key: 'top',
+      value: imbalance.top,
+      control: (
+        <select style={styles.select} value={topLevels} onChange={(e) => onTopLevelsChange(Number(e.target.value))}>
+          {IMBALANCE_TOP_LEVELS.map(n => <option key={n} value={n}>Top {n}</option>)}
+        </select>
+      ),
+    },
+  ]
+
+  return (
+    <div style={styles.card} title="(bid − ask) / (bid + ask): positive when bids outweigh asks">
+      <div style={styles.label}>IMBALANCE</div>
+      {rows.map(({ key, value, control }) => (
+        <div key={key} style={styles.row}>
+          {control}
+          <Gauge value={value} />
+          <span style={{ ...styles.value, color: imbalanceColor(value) }}>
+            {value === null ? '---' : `${value > 0 ? '+' : ''}${value.toFixed(2)}`}
+          </span>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+const styles = {
+  card: {
+    background: '#12171f',
+    borderRadius: '8px',
+    padding: '15px',
+    border: '1px solid #2a2e38',
+  },
+  label: {
+    color: '#666',
+    fontSize: '10px',
+    letterSpacing: '1px',
+    marginBottom: '6px',
+    textAlign: 'center',
+  },
+  row: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    marginTop: '4px',
+  },
+  select: {
+    width: '80px',
+    background: '#0a0e14',
+    color: '#b3b1ad',
+    border: '1px solid #2a2e38',
+    borderRadius: '4px',
+    padding: '2px 6px',
+    fontSize: '11px',
+    fontFamily: "'SF Mono', monospace",
+  },
+  track: {
+    position: 'relative',
+    flex: 1,
+    height: '8px',
+    background: '#0a0e14',
+    borderRadius: '4px',
+    overflow: 'hidden',
+  },
+  fill: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+  },
+  center: {
+    position: 'absolute',
+    left: '50%',
+    top: 0,
+    bottom: 0,
+    width: '1px',
+    background: '#666',
+  },
+  value: {
+    width: '44px',
+    textAlign: 'right',
+    fontSize: '13px',
+    fontWeight: 'bold',
+  },
+}
@@ -0,0 +1,107 @@
+import { useEffect, useRef, useState } from 'react'
+import { IMBALANCE_SAMPLE_MS, IMBALANCE_HISTORY } from './config.js'
+import { prepareCanvas } from './depthChart.js'
+
+const HEIGHT = 120
+const PADDING = 24
+const SPAN_MS = IMBALANCE_SAMPLE_MS * IMBALANCE_HISTORY
+const SERIES = [
+  { key: 'band', color: '#00D9FF' },
+  { key: 'top', color: '#FFD700' },
+]
+
+// Rolling imbalance over the last few minutes, newest on the right, on a fixed -1..1 scale
+export default function ImbalanceSeries({ samples, bandBps, topLevels }) {
+  const canvasRef = useRef(null)
+  const [width, setWidth] = useState(0)
+
+  useEffect(() => {
+    const canvas = canvasRef.current
+    const observer = new ResizeObserver(() => setWidth(canvas.getBoundingClientRect().width))
+    observer.observe(canvas)
+    return () => observer.disconnect()
+  }, [])
+
+  useEffect(() => {
+    const ctx = prepareCanvas(canvasRef.current, { width, height: HEIGHT, dpr: window.devicePixelRatio || 1 })
+    ctx.clearRect(0, 0, width, HEIGHT)
+
+    const plotWidth = width - PADDING * 2
+    const plotHeight = HEIGHT - PADDING
+    const toY = (value) => PADDING / 2 + ((1 - value) / 2) * plotHeight
+
+    // Zero and ±0.5 guides
+    ctx.font = '10px SF Mono'
+    ctx.textAlign = 'right'
+    for (const value of [0.5, 0, -0.5]) {
+      ctx.beginPath()
+      ctx.moveTo(PADDING, toY(value))
+      ctx.lineTo(width - PADDING, toY(value))
+      ctx.strokeStyle = value === 0 ? '#2a2e38' : '#1a1f29'
+      ctx.lineWidth = 1
+      ctx.stroke()
+      ctx.fillStyle = '#666'
+      ctx.fillText(value.toFixed(1), PADDING - 4, toY(value) + 3)
+    }
+    if (samples.length === 0) return
+
+    const newest = samples[samples.length - 1].t
+    const toX = (t) => width - PADDING - ((newest - t) / SPAN_MS) * plotWidth
+    for (const { key, color } of SERIES) {
+      ctx.beginPath()
+      let drawing = false
+      for (const sample of samples) {
+        // A missing value breaks the line rather than dropping it to zero
+        if (sample[key] === null) {
+          drawing = false
+          continue
+        }
+        if (drawing) ctx.lineTo(toX(sample.t), toY(sample[key]))
+        else ctx.moveTo(toX(sample.t), toY(sample[key]))
+        drawing = true
+      }
+      ctx.strokeStyle = color
+      ctx.lineWidth = 1.5
+      ctx.stroke()
+    }
+  }, [samples, width])
+
+  return (
+    <div style={styles.panel}>
+      <div style={styles.heading}>
+        <h3 style={styles.title}>IMBALANCE · LAST {Math.round(SPAN_MS / 60000)} MIN</h3>
+        <span style={{ color: SERIES[0].color }}>— ±{bandBps} bps</span>
+        <span style={{ color: SERIES[1].color }}>— Top {topLevels}</span>
+      </div>
+      <canvas ref={canvasRef} style={styles.canvas} />
+    </div>
+  )
+}
+
+const styles = {
+  panel: {
+    background: '#12171f',
+    borderRadius: '8px',
+    padding: '20px',
+    border: '1px solid #2a2e38',
+    marginBottom: '25px',
+  },
+  heading: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '20px',
+    marginBottom: '10px',
+    fontSize: '12px',
+  },
+  title: {
+    color: '#00D9FF',
+    fontSize: '12px',
+    letterSpacing: '2px',
+    margin: 0,
+  },
+  canvas: {
+    display: 'block',
+    width: '100%',
+    height: `${HEIGHT}px`,
+  },
+}
@@ -0,0 +1,113 @@
+import { marketImpact } from './levels.js'
+
+const formatPrice = (price) => '$' + price.toLocaleString(undefined, { maximumFractionDigits: 8 })
+
+// A buy lifts the asks and a sell hits the bids
+const SIDES = [
+  { key: 'buy', label: 'BUY', walks: 'asks', color: '#00FF88' },
+  { key: 'sell', label: 'SELL', walks: 'bids', color: '#FF4444' },
+]
+
+export default function ImpactCalculator({ bids, asks, midPrice, coinSymbol, sizes, onChange }) {
+  const levels = { bids, asks }
+
+  return (
+    <div style={styles.panel}>
+      <h3 style={styles.title}>MARKET IMPACT</h3>
+
+      <div style={styles.sides}>
+        {SIDES.map(({ key, label, walks, color }) => {
+          const impact = marketImpact(levels[walks], Number(sizes[key]), midPrice)
+          const rows = impact && [
+            ['Avg fill price', formatPrice(impact.avgPrice)],
+            ['Worst price', formatPrice(impact.worstPrice)],
+            ['Slippage from mid', impact.slippageBps === null ? '---' : `${impact.slippageBps.toFixed(1)} bps`],
+            ['Levels consumed', `${impact.levelsConsumed} of ${levels[walks].length}`],
+            ['Notional', '$' + impact.notional.toLocaleString(undefined, { maximumFractionDigits: 0 })],
+          ]
+
+          return (
+            <div key={key}>
+              <label style={styles.inputRow}>
+                <span style={{ color, fontWeight: 'bold' }}>{label}</span>
+                <input
+                  style={styles.input}
+                  type="number"
+                  min="0"
+                  step="any"
+                  placeholder="Order size"
+                  value={sizes[key]}
+                  onChange={(e) => onChange({ ...sizes, [key]: e.target.value })}
+                />
+                <span style={{ color: '#666' }}>{coinSymbol}</span>
+              </label>
+
+              {rows && rows.map(([name, value]) => (
+                <div key={name} style={styles.row}>
+                  <span style={{ color: '#666' }}>{name}</span>
+                  <span>{value}</span>
+                </div>
+              ))}
+              {impact && (
+                <div style={{ ...styles.row, color: impact.fullyFilled ? '#00FF88' : '#FF4444' }}>
+                  <span>Absorbed by visible book</span>
+                  <span>
+                    {impact.fullyFilled
+                      ? 'Yes'
+                      : `No · ${impact.filledQty.toFixed(4)} of ${impact.size} ${coinSymbol} filled`}
+                  </span>
+                </div>
+              )}
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+const styles = {
+  panel: {
+    background: '#12171f',
+    borderRadius: '8px',
+    padding: '20px',
+    border: '1px solid #2a2e38',
+    marginBottom: '25px',
+  },
+  title: {
+    color: '#00D9FF',
+    fontSize: '12px',
+    letterSpacing: '2px',
+    marginBottom: '15px',
+    marginTop: 0,
+  },
+  sides: {
+    display: 'grid',
+    gridTemplateColumns: '1fr 1fr',
+    gap: '30px',
+  },
+  inputRow: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '10px',
+    fontSize: '12px',
+    marginBottom: '10px',
+  },
+  input: {
+    flex: 1,
+    padding: '6px 8px',
+    background: '#0a0e14',
+    color: '#b3b1ad',
+    border: '1px solid #2a2e38',
+    borderRadius: '4px',
+    fontSize: '12px',
+    fontFamily: "'SF Mono', monospace",
+  },
+  row: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    padding: '5px 0',
+    borderBottom: '1px solid #1a1f29',
+    fontSize: '12px',
+  },
+}
@@ -0,0 +1,78 @@
+import { LIQUIDITY_BANDS } from './config.js'
+
+const formatBase = (value) => value.toFixed(value >= 100 ? 0 : 4)
+const formatQuote = (value) => value.toLocaleString(undefined, { maximumFractionDigits: 0 })
+
+// A band the subscribed depth doesn't reach shows a lower bound
+function Cell({ side, color }) {
+  const prefix = side.complete ? '' : '≥'
+  return (
+    <span title={side.complete ? undefined : 'The subscribed depth ends inside this band'}>
+      <span style={{ color }}>{prefix}{formatBase(side.base)}</span>
+      <span style={{ color: '#666' }}> · {prefix}{formatQuote(side.quote)}</span>
+    </span>
+  )
+}
+
+export default function LiquidityTable({ liquidity, selectedSymbol }) {
+  const symbols = Object.entries(liquidity)
+
+  return (
+    <div style={styles.panel}>
+      <h3 style={styles.title}>LIQUIDITY WITHIN BAND</h3>
+
+      <div style={styles.tableHeader}>
+        <span>Symbol</span>
+        <span>Band</span>
+        <span>Bids · base · quote</span>
+        <span>Asks · base · quote</span>
+      </div>
+      {symbols.length === 0 && <div style={{ ...styles.tableRow, color: '#666' }}>No synced books</div>}
+      {symbols.map(([sym, { bands }]) => bands.map((band, i) => (
+        <div key={`${sym}-${band.bps}`} style={{ ...styles.tableRow, ...(i === bands.length - 1 && styles.lastBand) }}>
+          <span style={{ color: sym === selectedSymbol ? '#FFD700' : '#b3b1ad' }}>{i === 0 ? sym : ''}</span>
+          <span style={{ color: '#666' }}>{LIQUIDITY_BANDS.find(b => b.bps === band.bps)?.label}</span>
+          <Cell side={band.bids} color="#00FF88" />
+          <Cell side={band.asks} color="#FF4444" />
+        </div>
+      )))}
+    </div>
+  )
+}
+
+const styles = {
+  panel: {
+    background: '#12171f',
+    borderRadius: '8px',
+    padding: '20px',
+    border: '1px solid #2a2e38',
+    marginBottom: '25px',
+  },
+  title: {
+    color: '#00D9FF',
+    fontSize: '12px',
+    letterSpacing: '2px',
+    marginBottom: '15px',
+    marginTop: 0,
+  },
+  tableHeader: {
+    display: 'grid',
+    gridTemplateColumns: '1fr 1fr 2fr 2fr',
+    padding: '8px 0',
+    borderBottom: '1px solid #2a2e38',
+    fontSize: '10px',
+    color: '#666',
+    letterSpacing: '1px',
+  },
+  tableRow: {
+    display: 'grid',
+    gridTemplateColumns: '1fr 1fr 2fr 2fr',
+    padding: '4px 0',
+    fontSize: '12px',
+  },
+  lastBand: {
+    borderBottom: '1px solid #1a1f29',
+    paddingBottom: '8px',
+    marginBottom: '4px',
+  },
+}
@@ -0,0 +1,216 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { SERIES_WINDOWS, SERIES_SAMPLE_MS, SERIES_DEPTH_BAND_BPS } from './config.js'
+import { prepareCanvas } from './depthChart.js'
+
+const ROW_HEIGHT = 70
+const PADDING_LEFT = 10
+const PADDING_RIGHT = 80  // room for each row's value range
+// Samples further apart than this were not taken back to back, so the line breaks between them
+const MAX_SAMPLE_GAP_MS = SERIES_SAMPLE_MS * 3
+
+const formatPrice = (price) => '$' + price.toLocaleString(undefined, { maximumFractionDigits: 8 })
+const formatQty = (qty) => qty.toFixed(qty >= 100 ? 0 : 4)
+
+// One row per measure; depth plots both sides on a shared scale
+const ROWS = [
+  { label: 'MID', lines: [{ key: 'mid', color: '#FFD700' }], format: formatPrice },
+  { label: 'SPREAD', lines: [{ key: 'spread', color: '#00D9FF' }], format: formatPrice },
+  { label: 'SPREAD BPS', lines: [{ key: 'spreadBps', color: '#B388FF' }], format: (bps) => bps.toFixed(2) },
+  {
+    label: `DEPTH ±${SERIES_DEPTH_BAND_BPS} BPS`,
+    lines: [{ key: 'bidDepth', color: '#00FF88' }, { key: 'askDepth', color: '#FF4444' }],
+    format: formatQty,
+  },
+]
+
+// Rolling mid, spread and near-mid depth for the selected symbol. Hovering freezes the panel
+// on what was showing and reads out the sample under the pointer.
+export default function MarketSeries({ samples, symbol }) {
+  const canvasRef = useRef(null)
+  const [windowMs, setWindowMs] = useState(SERIES_WINDOWS[0].ms)
+  const [width, setWidth] = useState(0)
+  const [frozen, setFrozen] = useState(null)  // samples as they were when the pointer came in
+  const [hoverX, setHoverX] = useState(null)
+
+  // A symbol switch shows the new symbol's history even mid-hover
+  useEffect(() => setFrozen(null), [symbol])
+
+  useEffect(() => {
+    const canvas = canvasRef.current
+    const observer = new ResizeObserver(() => setWidth(canvas.getBoundingClientRect().width))
+    observer.observe(canvas)
+    return () => observer.disconnect()
+  }, [])
+
+  const shown = frozen || samples
+  const newest = shown.length > 0 ? shown[shown.length - 1].t : 0
+  // The parent re-renders far more often than samples arrive; only redraw for new data
+  const visible = useMemo(() => shown.filter(s => s.t >= newest - windowMs), [shown, newest, windowMs])
+  const plotWidth = width - PADDING_LEFT - PADDING_RIGHT
+  const toX = (t) => PADDING_LEFT + plotWidth - ((newest - t) / windowMs) * plotWidth
+
+  // Sample nearest the pointer, for the readout
+  const hovered = useMemo(() => {
+    if (hoverX === null || visible.length === 0) return null
+    const t = newest - ((PADDING_LEFT + plotWidth - hoverX) / plotWidth) * windowMs
+    return visible.reduce((best, s) => Math.abs(s.t - t) < Math.abs(best.t - t) ? s : best)
+  }, [visible, hoverX, newest, plotWidth, windowMs])
+
+  useEffect(() => {
+    const height = ROW_HEIGHT * ROWS.length
+    const ctx = prepareCanvas(canvasRef.current, { width, height, dpr: window.devicePixelRatio || 1 })
+    ctx.clearRect(0, 0, width, height)
+    ctx.font = '10px SF Mono'
+
+    ROWS.forEach(({ label, lines, format }, row) => {
+      const top = row * ROW_HEIGHT
+      const values = visible.flatMap(s => lines.map(({ key }) => s[key]))
+      let min = Math.min(...values)
+      let max = Math.max(...values)
+      // A flat line sits mid-row
+      if (max === min) {
+        min -= Math.abs(min) * 0.001 || 1
+        max += Math.abs(max) * 0.001 || 1
+      }
+      const toY = (value) => top + 14 + (1 - (value - min) / (max - min)) * (ROW_HEIGHT - 22)
+
+      ctx.strokeStyle = '#1a1f29'
+      ctx.lineWidth = 1
+      ctx.beginPath()
+      ctx.moveTo(PADDING_LEFT, top + ROW_HEIGHT - 0.5)
+      ctx.lineTo(width - PADDING_RIGHT, top + ROW_HEIGHT - 0.5)
+      ctx.stroke()
+      ctx.fillStyle = '#666'
+      ctx.textAlign = 'left'
+      ctx.fillText(label, PADDING_LEFT, top + 10)
+      if (visible.length === 0) return
+
+      ctx.textAlign = 'left'
+      ctx.fillText(format(max), width - PADDING_RIGHT + 6, top + 18)
+      ctx.fillText(format(min), width - PADDING_RIGHT + 6, top + ROW_HEIGHT - 6)
+
+      for (const { key, color } of lines) {
+        ctx.beginPath()
+        visible.forEach((s, i) => {
+          const x = toX(s.t)
+          if (i > 0 && s.t - visible[i - 1].t <= MAX_SAMPLE_GAP_MS) ctx.lineTo(x, toY(s[key]))
+          else ctx.moveTo(x, toY(s[key]))
+        })
+        ctx.strokeStyle = color
+        ctx.lineWidth = 1.5
+        ctx.stroke()
+      }
+    })
+
+    if (hovered) {
+      ctx.strokeStyle = 'rgba(179, 177, 173, 0.5)'
+      ctx.setLineDash([3, 3])
+      ctx.beginPath()
+      ctx.moveTo(toX(hovered.t), 0)
+      ctx.lineTo(toX(hovered.t), height)
+      ctx.stroke()
+      ctx.setLineDash([])
+    }
+  }, [visible, hovered, width])
+
+  const onPointerMove = (e) => {
+    if (!frozen) setFrozen(samples)
+    setHoverX(e.clientX - canvasRef.current.getBoundingClientRect().left)
+  }
+  const onPointerLeave = () => {
+    setFrozen(null)
+    setHoverX(null)
+  }
+
+  return (
+    <div style={styles.panel}>
+      <div style={styles.heading}>
+        <h3 style={styles.title}>MARKET · <span style={{ color: '#FFD700' }}>{symbol}</span></h3>
+        {frozen && <span style={styles.paused}>PAUSED</span>}
+        <span style={styles.readout}>
+          {hovered && (
+            <>
+              {new Date(hovered.t).toLocaleTimeString()}
+              {' · mid '}<span style={{ color: '#FFD700' }}>{formatPrice(hovered.mid)}</span>
+              {' · spread '}<span style={{ color: '#00D9FF' }}>{formatPrice(hovered.spread)}</span>
+              {' '}<span style={{ color: '#B388FF' }}>({hovered.spreadBps.toFixed(2)} bps)</span>
+              {' · bids '}<span style={{ color: '#00FF88' }}>{formatQty(hovered.bidDepth)}</span>
+              {' · asks '}<span style={{ color: '#FF4444' }}>{formatQty(hovered.askDepth)}</span>
+            </>
+          )}
+        </span>
+        <span style={styles.windows}>
+          {SERIES_WINDOWS.map(({ label, ms }) => (
+            <button
+              key={ms}
+              style={{ ...styles.button, color: windowMs === ms ? '#00D9FF' : '#b3b1ad' }}
+              onClick={() => setWindowMs(ms)}
+            >
+              {label}
+            </button>
+          ))}
+        </span>
+      </div>
+      <canvas
+        ref={canvasRef}
+        style={{ ...styles.canvas, height: `${ROW_HEIGHT * ROWS.length}px` }}
+        onPointerMove={onPointerMove}
+        onPointerLeave={onPointerLeave}
+      />
+    </div>
+  )
+}
+
+const styles = {
+  panel: {
+    background: '#12171f',
+    borderRadius: '8px',
+    padding: '20px',
+    border: '1px solid #2a2e38',
+    marginBottom: '25px',
+  },
+  heading: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '15px',
+    marginBottom: '10px',
+    fontSize: '12px',
+  },
+  title: {
+    color: '#00D9FF',
+    fontSize: '12px',
+    letterSpacing: '2px',
+    margin: 0,
+  },
+  paused: {
+    fontSize: '10px',
+    padding: '2px 6px',
+    background: '#FFA500',
+    color: '#0a0e14',
+    borderRadius: '4px',
+    fontWeight: 'bold',
+  },
+  readout: {
+    flex: 1,
+    color: '#666',
+    fontSize: '11px',
+  },
+  windows: {
+    display: 'flex',
+    gap: '4px',
+  },
+  button: {
+    background: '#0a0e14',
+    border: '1px solid #2a2e38',
+    borderRadius: '4px',
+    padding: '2px 6px',
+    fontSize: '11px',
+    fontFamily: "'SF Mono', monospace",
+    cursor: 'pointer',
+  },
+  canvas: {
+    display: 'block',
+    width: '100%',
+    cursor: 'crosshair',
+  },
+}
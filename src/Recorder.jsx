@@ -0,0 +1,75 @@
+import { RECORDING_MAX_BYTES } from './config.js'
+
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`
+  return `${(bytes / 1024).toFixed(0)} KB`
+}
+
+export default function Recorder({ recording, replaying, onStart, onStop, onDownload, onDiscard }) {
+  const { active, startedAt, messages, bytes, capped } = recording
+  const hasData = messages > 0
+
+  return (
+    <div style={styles.panel}>
+      <h3 style={styles.title}>SESSION RECORDER</h3>
+      {active ? (
+        <button style={{ ...styles.button, color: '#FF4444', borderColor: '#FF4444' }} onClick={onStop}>
+          ■ Stop
+        </button>
+      ) : (
+        <button
+          style={styles.button}
+          onClick={onStart}
+          disabled={replaying}
+          title="Starts a new recording; books resubscribe so it opens with snapshots"
+        >
+          ● Record
+        </button>
+      )}
+
+      <span style={{ color: active ? '#FF4444' : '#666' }}>
+        {active ? 'REC' : hasData ? 'stopped' : 'idle'}
+        {startedAt && ` · since ${new Date(startedAt).toLocaleTimeString()}`}
+      </span>
+      <span style={{ color: '#666' }}>
+        {messages} messages · {formatBytes(bytes)} of {formatBytes(RECORDING_MAX_BYTES)}
+      </span>
+      {capped && <span style={{ color: '#FFA500' }}>size cap reached</span>}
+
+      <span style={{ marginLeft: 'auto', display: 'flex', gap: '8px' }}>
+        <button style={styles.button} onClick={onDownload} disabled={!hasData}>Download NDJSON</button>
+        <button style={styles.button} onClick={onDiscard} disabled={!hasData || active}>Discard</button>
+      </span>
+    </div>
+  )
+}
+
+const styles = {
+  panel: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '15px',
+    background: '#12171f',
+    borderRadius: '8px',
+    padding: '12px 20px',
+    border: '1px solid #2a2e38',
+    marginBottom: '25px',
+    fontSize: '12px',
+  },
+  title: {
+    color: '#00D9FF',
+    fontSize: '12px',
+    letterSpacing: '2px',
+    margin: 0,
+  },
+  button: {
+    background: 'transparent',
+    color: '#b3b1ad',
+    border: '1px solid #2a2e38',
+    borderRadius: '4px',
+    padding: '4px 10px',
+    fontSize: '11px',
+    fontFamily: "'SF Mono', monospace",
+    cursor: 'pointer',
+  },
+}
@@ -0,0 +1,116 @@
+import { useState, useRef } from 'react'
+import { REPLAY_SPEEDS } from './replay.js'
+
+const formatElapsed = (ms) => {
+  const seconds = Math.max(0, Math.floor(ms / 1000))
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`
+}
+
+export default function ReplayControls({ replay, onLoad, onCommand }) {
+  // Position while the seek bar is being dragged; books are only rebuilt on release
+  const [scrub, setScrub] = useState(null)
+  const fileRef = useRef(null)
+
+  const openButton = (
+    <>
+      <input
+        ref={fileRef}
+        type="file"
+        accept=".ndjson,.jsonl,application/x-ndjson"
+        style={{ display: 'none' }}
+        onChange={(e) => {
+          if (e.target.files[0]) onLoad(e.target.files[0])
+          e.target.value = ''
+        }}
+      />
+      <button style={styles.button} onClick={() => fileRef.current.click()}>Open recording…</button>
+    </>
+  )
+
+  if (!replay?.active) {
+    return (
+      <div style={styles.panel}>
+        <h3 style={styles.title}>REPLAY</h3>
+        {openButton}
+        <span style={{ color: '#666' }}>Play back an NDJSON session recording instead of the live feed</span>
+      </div>
+    )
+  }
+
+  const { fileName, playing, speed, cursor, total, startT, endT, currentT } = replay
+  const commitScrub = () => {
+    if (scrub === null) return
+    onCommand({ action: 'seek', index: scrub })
+    setScrub(null)
+  }
+
+  return (
+    <div style={styles.panel}>
+      <h3 style={styles.title}>REPLAY</h3>
+      <span style={{ color: '#FFD700' }} title={fileName}>{fileName}</span>
+
+      {playing ? (
+        <button style={styles.button} onClick={() => onCommand({ action: 'pause' })}>❚❚ Pause</button>
+      ) : (
+        <button style={styles.button} onClick={() => onCommand({ action: 'play' })} disabled={cursor >= total}>▶ Play</button>
+      )}
+      <button style={styles.button} onClick={() => onCommand({ action: 'step' })} disabled={cursor >= total}>Step</button>
+      <select
+        style={styles.button}
+        value={speed}
+        onChange={(e) => onCommand({ action: 'speed', speed: Number(e.target.value) })}
+      >
+        {REPLAY_SPEEDS.map(s => <option key={s} value={s}>{s}x</option>)}
+      </select>
+
+      <input
+        type="range"
+        style={{ flex: 1 }}
+        min={0}
+        max={total}
+        value={scrub ?? cursor}
+        onChange={(e) => setScrub(Number(e.target.value))}
+        onPointerUp={commitScrub}
+        onKeyUp={commitScrub}
+      />
+      <span style={{ color: '#666' }}>
+        {formatElapsed((currentT ?? 0) - (startT ?? 0))} / {formatElapsed((endT ?? 0) - (startT ?? 0))}
+        {' · '}{scrub ?? cursor}/{total}
+      </span>
+
+      {openButton}
+      <button style={styles.button} onClick={() => onCommand({ action: 'exit' })}>Back to live</button>
+    </div>
+  )
+}
+
+const styles = {
+  panel: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    background: '#12171f',
+    borderRadius: '8px',
+    padding: '12px 20px',
+    border: '1px solid #2a2e38',
+    marginBottom: '25px',
+    fontSize: '12px',
+  },
+  title: {
+    color: '#00D9FF',
+    fontSize: '12px',
+    letterSpacing: '2px',
+    margin: 0,
+  },
+  button: {
+    background: 'transparent',
+    color: '#b3b1ad',
+    border: '1px solid #2a2e38',
+    borderRadius: '4px',
+    padding: '4px 10px',
+    fontSize: '11px',
+    fontFamily: "'SF Mono', monospace",
+    cursor: 'pointer',
+  },
+}
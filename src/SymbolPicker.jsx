@@ -0,0 +1,173 @@
+import { useState, useEffect, useRef } from 'react'
+import { searchCatalog } from './catalog.js'
+import { syncColor, describeStatus } from './bookStatus.js'
+
+export default function SymbolPicker({ catalog, selectedSymbol, bookStatus, rejected, pinned, onSelect, onTogglePin }) {
+  const [open, setOpen] = useState(false)
+  const [query, setQuery] = useState('')
+  const rootRef = useRef(null)
+
+  const matches = open ? searchCatalog(catalog, query) : []
+
+  // Close when clicking anywhere outside the picker
+  useEffect(() => {
+    if (!open) return
+    const onPointerDown = (e) => {
+      if (!rootRef.current?.contains(e.target)) setOpen(false)
+    }
+    document.addEventListener('pointerdown', onPointerDown)
+    return () => document.removeEventListener('pointerdown', onPointerDown)
+  }, [open])
+
+  const pick = (symbol) => {
+    onSelect(symbol)
+    setOpen(false)
+    setQuery('')
+  }
+
+  const onKeyDown = (e) => {
+    const first = matches.find(pair => !rejected[pair.symbol])
+    if (e.key === 'Enter' && first) pick(first.symbol)
+    if (e.key === 'Escape') setOpen(false)
+  }
+
+  return (
+    <div ref={rootRef} style={styles.picker}>
+      <button
+        style={styles.current}
+        onClick={() => setOpen(!open)}
+        title={describeStatus(bookStatus[selectedSymbol], rejected[selectedSymbol])}
+      >
+        <span style={{ ...styles.syncDot, background: syncColor(bookStatus[selectedSymbol], rejected[selectedSymbol]) }} />
+        {selectedSymbol}
+        <span style={{ color: '#666' }}>▾</span>
+      </button>
+
+      {pinned.filter(sym => sym !== selectedSymbol).map(sym => (
+        <button
+          key={sym}
+          style={{ ...styles.current, ...(rejected[sym] && styles.disabled) }}
+          onClick={() => onSelect(sym)}
+          disabled={Boolean(rejected[sym])}
+          title={describeStatus(bookStatus[sym], rejected[sym])}
+        >
+          <span style={{ ...styles.syncDot, background: syncColor(bookStatus[sym], rejected[sym]) }} />
+          {sym.split('/')[0]}
+        </button>
+      ))}
+
+      {open && (
+        <div style={styles.dropdown}>
+          <input
+            autoFocus
+            style={styles.search}
+            placeholder={`Search ${catalog.length} pairs...`}
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={onKeyDown}
+          />
+          <div style={styles.list}>
+            {matches.map(pair => (
+              <div
+                key={pair.symbol}
+                style={{
+                  ...styles.option,
+                  color: pair.symbol === selectedSymbol ? '#00D9FF' : '#b3b1ad',
+                  ...(rejected[pair.symbol] && styles.disabled),
+                }}
+                onClick={() => !rejected[pair.symbol] && pick(pair.symbol)}
+                title={rejected[pair.symbol] ? describeStatus(null, rejected[pair.symbol]) : undefined}
+              >
+                <span style={{ ...styles.syncDot, background: syncColor(bookStatus[pair.symbol], rejected[pair.symbol]) }} />
+                <span style={{ flex: 1 }}>{pair.symbol}</span>
+                <span style={{ color: '#666' }}>{pair.pricePrecision}/{pair.qtyPrecision}</span>
+                <span
+                  style={{ ...styles.pin, color: pinned.includes(pair.symbol) ? '#FFD700' : '#666' }}
+                  onClick={(e) => {
+                    e.stopPropagation()
+                    onTogglePin(pair.symbol)
+                  }}
+                  title="Pinned symbols stay subscribed"
+                >
+                  {pinned.includes(pair.symbol) ? '★' : '☆'}
+                </span>
+              </div>
+            ))}
+            {matches.length === 0 && <div style={{ ...styles.option, color: '#666' }}>No matching pairs</div>}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+const styles = {
+  picker: {
+    position: 'relative',
+    display: 'flex',
+    gap: '8px',
+  },
+  current: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '6px 12px',
+    background: 'transparent',
+    color: '#b3b1ad',
+    border: '1px solid #2a2e38',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontSize: '12px',
+    fontWeight: 'bold',
+    fontFamily: "'SF Mono', monospace",
+  },
+  disabled: {
+    opacity: 0.4,
+    cursor: 'not-allowed',
+  },
+  pin: {
+    cursor: 'pointer',
+    padding: '0 2px',
+  },
+  syncDot: {
+    width: '6px',
+    height: '6px',
+    borderRadius: '50%',
+    flexShrink: 0,
+  },
+  dropdown: {
+    position: 'absolute',
+    top: 'calc(100% + 4px)',
+    left: 0,
+    width: '240px',
+    background: '#12171f',
+    border: '1px solid #2a2e38',
+    borderRadius: '8px',
+    padding: '8px',
+    zIndex: 10,
+  },
+  search: {
+    width: '100%',
+    padding: '6px 8px',
+    background: '#0a0e14',
+    color: '#b3b1ad',
+    border: '1px solid #2a2e38',
+    borderRadius: '4px',
+    fontSize: '12px',
+    fontFamily: "'SF Mono', monospace",
+    marginBottom: '6px',
+  },
+  list: {
+    maxHeight: '300px',
+    overflowY: 'auto',
+  },
+  option: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '5px 6px',
+    fontSize: '12px',
+    cursor: 'pointer',
+    borderRadius: '4px',
+  },
+}
@@ -0,0 +1,128 @@
+// Walls and gaps: the "steep walls" and "thin areas" of a depth chart, found per side.
+// Levels are the unpacked columns from levels.js, best price first.
+
+// Levels either side of a level that make up its neighbourhood
+const WINDOW_LEVELS = 10
+// A level holding less than this share of its local median counts as thin
+const THIN_FRACTION = 0.1
+// A run of thin levels this long is a gap
+const GAP_MIN_LEVELS = 2
+// Adjacent levels further apart than this many median spacings have a gap between them
+const GAP_SPACING_MULTIPLE = 5
+// Most walls and gaps reported per side, nearest mid first
+const MAX_PER_SIDE = 10
+
+export const NO_FEATURES = { bids: { walls: [], gaps: [] }, asks: { walls: [], gaps: [] } }
+
+function median(values) {
+  if (values.length === 0) return 0
+  const sorted = Float64Array.from(values).sort()
+  const mid = sorted.length >> 1
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+}
+
+// Median quantity of the levels around each level, not counting the level itself. This runs
+// on every publish, so a sorted window slides along the side instead of sorting per level.
+function localMedians(levels) {
+  const n = levels.length
+  const medians = new Float64Array(n)
+  const window = new Float64Array(WINDOW_LEVELS * 2 + 1)
+  let size = 0
+
+  const insert = (value) => {
+    let k = size++
+    for (; k > 0 && window[k - 1] > value; k--) window[k] = window[k - 1]
+    window[k] = value
+  }
+  const remove = (value) => {
+    let k = window.indexOf(value)
+    for (size--; k < size; k++) window[k] = window[k + 1]
+  }
+
+  let next = 0
+  for (let i = 0; i < n; i++) {
+    if (i > WINDOW_LEVELS) remove(levels.qty[i - WINDOW_LEVELS - 1])
+    for (; next < Math.min(n, i + WINDOW_LEVELS + 1); next++) insert(levels.qty[next])
+
+    // Rank r among the neighbours skips over the level's own entry at `self`
+    const self = window.indexOf(levels.qty[i])
+    const at = (r) => window[r < self ? r : r + 1]
+    const count = size - 1
+    if (count === 0) continue
+    medians[i] = count % 2 ? at(count >> 1) : (at(count / 2 - 1) + at(count / 2)) / 2
+  }
+  return medians
+}
+
+const distanceBps = (price, midPrice) => midPrice ? (Math.abs(price - midPrice) / midPrice) * 10000 : null
+
+// Walls are levels at least `wallMultiple` times their local median; gaps are price ranges
+// with little (a run of thin levels) or nothing (an unusually wide step) resting in them
+function detectSide(levels, midPrice, wallMultiple) {
+  const n = levels.length
+  const walls = []
+  const thin = new Uint8Array(n)
+  const medians = localMedians(levels)
+  for (let i = 0; i < n; i++) {
+    const local = medians[i]
+    if (local <= 0) continue
+    if (levels.qty[i] < local * THIN_FRACTION) thin[i] = 1
+    if (levels.qty[i] >= local * wallMultiple && walls.length < MAX_PER_SIDE) {
+      walls.push({
+        index: i,
+        price: levels.price[i],
+        qty: levels.qty[i],
+        multiple: levels.qty[i] / local,
+        distanceBps: distanceBps(levels.price[i], midPrice),
+      })
+    }
+  }
+
+  // Gaps as [first, last] level indexes bounding the empty stretch
+  const ranges = []
+  for (let i = 0; i < n; i++) {
+    if (!thin[i]) continue
+    let end = i
+    while (end + 1 < n && thin[end + 1]) end++
+    if (end - i + 1 >= GAP_MIN_LEVELS) ranges.push([Math.max(0, i - 1), Math.min(n - 1, end + 1)])
+    i = end
+  }
+  const spacings = []
+  for (let i = 1; i < n; i++) spacings.push(Math.abs(levels.price[i] - levels.price[i - 1]))
+  const typicalSpacing = median(spacings)
+  spacings.forEach((spacing, i) => {
+    if (typicalSpacing > 0 && spacing > typicalSpacing * GAP_SPACING_MULTIPLE) ranges.push([i, i + 1])
+  })
+
+  // A wide step next to a thin run is one gap
+  ranges.sort((a, b) => a[0] - b[0])
+  const merged = []
+  for (const range of ranges) {
+    const last = merged[merged.length - 1]
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1])
+    else merged.push([...range])
+  }
+
+  const gaps = merged.slice(0, MAX_PER_SIDE).map(([first, last]) => {
+    let qty = 0
+    for (let i = first + 1; i < last; i++) qty += levels.qty[i]
+    const from = levels.price[first]
+    const to = levels.price[last]
+    return {
+      fromPrice: from,
+      toPrice: to,
+      widthBps: distanceBps(to, from),
+      qty,
+      distanceBps: distanceBps(from, midPrice),
+    }
+  })
+
+  return { walls, gaps }
+}
+
+export function detectFeatures(bids, asks, midPrice, wallMultiple) {
+  return {
+    bids: detectSide(bids, midPrice, wallMultiple),
+    asks: detectSide(asks, midPrice, wallMultiple),
+  }
+}
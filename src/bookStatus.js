@@ -0,0 +1,15 @@
+// Red if Kraken refused the pair or the book drifted, orange while a subscription is
+// being retried, green once the book is checksum-verified, grey while waiting
+export function syncColor(status, rejection) {
+  if (rejection || status?.state === 'desynchronized') return '#FF4444'
+  if (status?.subscription === 'retrying') return '#FFA500'
+  if (status?.synced) return '#00FF88'
+  return '#666'
+}
+
+export function describeStatus(status, rejection) {
+  if (rejection) return `rejected: ${rejection}`
+  if (!status) return 'not subscribed'
+  if (status.subscription === 'retrying') return `retry ${status.retries}: ${status.reason}`
+  return `${status.subscription} · ${status.state} · ${status.resyncs} resyncs`
+}
@@ -0,0 +1,66 @@
+import { SYMBOLS, SYMBOL_PRECISION } from './config.js'
+
+// WebSocket v2 uses modern asset codes, REST pair names still use Kraken's legacy ones
+const LEGACY_ASSETS = { BTC: 'XBT', DOGE: 'XDG' }
+const MODERN_ASSETS = { XBT: 'BTC', XDG: 'DOGE' }
+
+function toWsSymbol(wsname) {
+  return wsname.split('/').map(asset => MODERN_ASSETS[asset] || asset).join('/')
+}
+
+function toRestPair(symbol) {
+  return symbol.split('/').map(asset => LEGACY_ASSETS[asset] || asset).join('')
+}
+
+// Pair statuses with no live book to show
+const UNSTREAMED_STATUSES = ['delisted', 'maintenance']
+
+// Used until the pair list loads, and as the whole catalog if it can't be fetched
+export const FALLBACK_CATALOG = SYMBOLS.map(symbol => {
+  const [base, quote] = symbol.split('/')
+  const [pricePrecision, qtyPrecision] = SYMBOL_PRECISION[symbol]
+  return { symbol, restPair: toRestPair(symbol), base, quote, pricePrecision, qtyPrecision }
+})
+
+// Build the symbol catalog from Kraken's tradeable asset pairs
+export async function loadCatalog(client) {
+  const pairs = await client.get_asset_pairs()
+
+  return Object.values(pairs)
+    // Dark pool pairs have no wsname and aren't streamed; limit_only, cancel_only and
+    // post_only pairs still publish a book
+    .filter(pair => pair.wsname && !UNSTREAMED_STATUSES.includes(pair.status))
+    .map(pair => {
+      const symbol = toWsSymbol(pair.wsname)
+      const [base, quote] = symbol.split('/')
+      return {
+        symbol,
+        restPair: pair.altname,
+        base,
+        quote,
+        pricePrecision: pair.pair_decimals,
+        qtyPrecision: pair.lot_decimals,
+      }
+    })
+    .sort((a, b) => a.symbol.localeCompare(b.symbol))
+}
+
+// Checksum precision per symbol, in the shape the worker expects
+export function catalogPrecision(catalog) {
+  return Object.fromEntries(catalog.map(p => [p.symbol, [p.pricePrecision, p.qtyPrecision]]))
+}
+
+// Symbols matching a search query, prefix matches first
+export function searchCatalog(catalog, query, limit = 50) {
+  const q = query.trim().toUpperCase()
+  if (!q) return catalog.slice(0, limit)
+
+  const prefix = []
+  const rest = []
+  for (const pair of catalog) {
+    const name = pair.symbol.toUpperCase()
+    if (name.startsWith(q) || pair.restPair.startsWith(q)) prefix.push(pair)
+    else if (name.includes(q)) rest.push(pair)
+  }
+  return prefix.concat(rest).slice(0, limit)
+}
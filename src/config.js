@@ -0,0 +1,93 @@
+export const WS_URL = 'wss://ws.kraken.com/v2'
+
+// Feed source at startup: 'kraken', 'synthetic', or 'custom' with VITE_FEED_URL pointing at
+// any Kraken v2 compatible WebSocket (setting only the URL implies 'custom').
+// The feed picker in the UI overrides this per browser.
+const FEED_URL = import.meta.env.VITE_FEED_URL || null
+export const DEFAULT_FEED = {
+  kind: import.meta.env.VITE_FEED_SOURCE || (FEED_URL ? 'custom' : 'kraken'),
+  url: FEED_URL,
+}
+
+// Point VITE_KRAKEN_REST_URL at a local stand-in during development; unset uses api.kraken.com
+export const REST_BASE_URL = import.meta.env.VITE_KRAKEN_REST_URL || null
+
+// Offline fallback for the pair catalog, which is loaded over REST at startup
+export const SYMBOLS = ['BTC/USD', 'ETH/USD', 'SOL/USD', 'XRP/USD', 'ADA/USD']
+
+// Book depths Kraken supports; switchable at runtime
+export const DEPTHS = [10, 25, 100, 500, 1000]
+export const DEFAULT_DEPTH = 100
+
+// Precision settings for checksum calculation, used until the pair catalog loads
+export const SYMBOL_PRECISION = {
+  'BTC/USD': [1, 8],
+  'ETH/USD': [2, 8],
+  'SOL/USD': [2, 8],
+  'XRP/USD': [5, 8],
+  'ADA/USD': [6, 8],
+}
+
+// How often the worker posts the selected book to the UI
+export const PUBLISH_INTERVALS = [
+  { label: 'Realtime', ms: 16 },
+  { label: '10/s', ms: 100 },
+  { label: '4/s', ms: 250 },
+  { label: '1/s', ms: 1000 },
+]
+export const DEFAULT_PUBLISH_INTERVAL_MS = 100
+
+// Most often the chart redraws for a book change; pointer, zoom and resize redraw on the next frame
+export const FRAME_CAPS = [
+  { label: 'Every frame', ms: 0 },
+  { label: '10 fps', ms: 100 },
+  { label: '1 fps', ms: 1000 },
+]
+export const DEFAULT_FRAME_CAP_MS = 0
+
+// The level tables and stat cards catch up with the latest book this often
+export const TABLE_REFRESH_MS = 500
+
+// Chart zoom presets, as a half-width around the mid price
+export const ZOOM_PRESETS = [
+  { label: '±0.5%', halfWidthPct: 0.5 },
+  { label: '±1%', halfWidthPct: 1 },
+  { label: '±5%', halfWidthPct: 5 },
+]
+
+// Bands around mid for the liquidity table, as half-widths in bps
+export const LIQUIDITY_BANDS = [
+  { label: '±10 bps', bps: 10 },
+  { label: '±50 bps', bps: 50 },
+  { label: '±1%', bps: 100 },
+  { label: '±2%', bps: 200 },
+]
+
+// Imbalance scopes: a band around mid in bps, and a number of levels from the touch
+export const IMBALANCE_BANDS_BPS = [10, 25, 50, 100]
+export const DEFAULT_IMBALANCE_BAND_BPS = 25
+export const IMBALANCE_TOP_LEVELS = [5, 10, 20, 50]
+export const DEFAULT_IMBALANCE_TOP_LEVELS = 10
+// The rolling series samples imbalance this often and keeps this many samples (5 minutes)
+export const IMBALANCE_SAMPLE_MS = 500
+export const IMBALANCE_HISTORY = 600
+
+// Time-series panel: selectable windows, how often the selected book is sampled, and the
+// band around mid that counts as near-mid depth
+export const SERIES_WINDOWS = [
+  { label: '1m', ms: 60 * 1000 },
+  { label: '15m', ms: 15 * 60 * 1000 },
+  { label: '1h', ms: 60 * 60 * 1000 },
+]
+export const SERIES_SAMPLE_MS = 1000
+export const SERIES_DEPTH_BAND_BPS = 50
+
+// A level this many times the median of its neighbours is flagged as a wall
+export const WALL_MULTIPLES = [3, 5, 10]
+export const DEFAULT_WALL_MULTIPLE = 5
+
+// Processing lag beyond this is shown as a warning
+export const INGEST_LAG_WARN_MS = 1000
+
+// Session recordings are held in memory; recording stops on its own at this size
+export const RECORDING_MAX_BYTES = 64 * 1024 * 1024
@@ -0,0 +1,783 @@
+import initWasm, { WasmOrderbook } from '../wasm/kraken_wasm.js'
+import {
+  SYMBOLS, DEFAULT_DEPTH, SYMBOL_PRECISION, DEFAULT_PUBLISH_INTERVAL_MS, RECORDING_MAX_BYTES, DEFAULT_FEED, LIQUIDITY_BANDS,
+  DEFAULT_WALL_MULTIPLE,
+} from './config.js'
+import { packLevels, unpackLevels } from './levels.js'
+import { detectFeatures } from './bookFeatures.js'
+import { bandLiquidity } from './liquidity.js'
+import { classifyApplyError } from './errors.js'
+import { recordingHeader, recordingFrame, recordingDepthChange, parseRecording } from './recording.js'
+import { createReplayPlayer } from './replay.js'
+import { openFeed, describeFeed } from './feedSources.js'
+
+// Orderbook engine. Owns the feed connection, every WasmOrderbook and the cumulative
+// depth computation, so none of it competes with React and canvas drawing.
+// The feed is the Kraken WebSocket by default; see feedSources.js for the alternatives.
+//
+// Only the selected symbol and the pinned ones are subscribed; every other book is
+// unsubscribed and freed, so bandwidth and CPU scale with what is on screen.
+//
+// UI -> worker:
+//   { type: 'select', symbol }              book to publish
+//   { type: 'pins', symbols }               symbols to keep subscribed alongside the selected one
+//   { type: 'config', publishIntervalMs }   publication rate
+//   { type: 'config', depth }               book depth; every book is rebuilt and resubscribed
+//   { type: 'config', wallMultiple }        wall threshold, as a multiple of the local median size
+//   { type: 'catalog', precision }          checksum precision per symbol from the pair catalog
+//   { type: 'clock', offsetMs }             exchange clock minus local clock, for latency estimates
+//   { type: 'retry', symbol }               clear a rejection and try subscribing again
+//   { type: 'feed', source }                switch feed source ({ kind, url }); leaves any replay
+//   { type: 'record', action }              'start', 'stop', 'export' or 'discard' the session recording
+//   { type: 'replay', action: 'load', file }   close the socket and play an NDJSON recording instead
+//   { type: 'replay', action }              'play', 'pause', 'step' one message, or 'exit' back to live
+//   { type: 'replay', action: 'speed', speed }
+//   { type: 'replay', action: 'seek', index }  rebuild the books from the nearest snapshots before index
+// worker -> UI:
+//   { type: 'ready' }
+//   { type: 'status', status, reconnect }
+//   { type: 'bookStatus', bookStatus }      one entry per live (subscribed) book
+//   { type: 'rejected', rejected }          symbol -> reason, for pairs Kraken refused
+//   { type: 'ingest', backlog, lagMs }
+//   { type: 'health', symbols, apply, heartbeat, clockOffsetMs }   feed health, once a second
+//   { type: 'liquidity', symbols }          symbol -> bandLiquidity() of every synced book, once a second
+//   { type: 'error', entry }                { id, time, errorClass, symbol, message, raw }
+//   { type: 'recording', active, startedAt, messages, bytes, capped }
+//   { type: 'recordingExport', blob, startedAt }   the recording as an NDJSON Blob
+//   { type: 'replay', active, fileName, symbols, depth, playing, speed, cursor, total, startT, endT, currentT }
+//   { type: 'book', symbol, depth, synced, bids, asks, midPrice, spread, features }
+//                                           bids/asks are packed levels (transferred);
+//                                           features holds the walls and gaps per side (bookFeatures.js)
+
+// Reconnect backoff: doubles per attempt up to the cap, with jitter
+const RECONNECT_BASE_MS = 1000
+const RECONNECT_MAX_MS = 30000
+
+// Ingest drains the queue in slices of at most this long before yielding to incoming events
+const INGEST_BUDGET_MS = 8
+
+const HEALTH_INTERVAL_MS = 1000
+const APPLY_SAMPLES = 1000     // rolling window for WASM apply timings
+const LATENCY_SMOOTHING = 0.1  // EWMA weight of each new latency sample
+const LIQUIDITY_INTERVAL_MS = 1000
+
+// Subscribe acknowledgements: how long to wait, and how transient failures are retried
+const SUBSCRIBE_ACK_TIMEOUT_MS = 10000
+const SUBSCRIBE_RETRY_BASE_MS = 2000
+const SUBSCRIBE_MAX_RETRIES = 5
+
+const books = {}
+const dirty = new Set()
+const resyncing = new Set()
+const ackTimers = {}  // symbol -> pending ack timeout or retry
+
+let feed = null
+let source = DEFAULT_FEED
+let attempt = 0
+let reconnectTimer = null
+let queue = []
+let drainTimer = null
+let publishTimer = null
+let lastPublishAt = 0
+let lagMs = 0
+let bookStatus = {}
+let rejected = {}
+let selectedSymbol = SYMBOLS[0]
+let pinned = new Set()
+let publishIntervalMs = DEFAULT_PUBLISH_INTERVAL_MS
+let wallMultiple = DEFAULT_WALL_MULTIPLE
+let depth = DEFAULT_DEPTH
+let precision = { ...SYMBOL_PRECISION }
+let sdkReady = false
+
+// Feed health counters
+let feedStats = {}  // symbol -> { count, lastAt, latencyMs }
+let heartbeat = { count: 0, lastAt: null }
+let clockOffsetMs = null
+let lastHealthAt = performance.now()
+const applyTimes = new Float64Array(APPLY_SAMPLES)
+let applyCount = 0
+let errorCount = 0
+
+// Session recording: NDJSON lines, kept in memory until exported or discarded
+// Replay of a loaded recording; while set, the socket stays closed and the recording feeds the books
+let replay = null  // { player, header, events, symbols, fileName, liveDepth, livePrecision }
+
+const emptyRecording = () => ({ active: false, startedAt: null, lines: [], messages: 0, bytes: 0, capped: false })
+let recording = emptyRecording()
+
+// Exponential backoff with equal jitter, so many clients don't retry in lockstep
+function reconnectDelay(attempt) {
+  const ceiling = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** attempt)
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2))
+}
+
+function setStatus(status, reconnect = null) {
+  self.postMessage({ type: 'status', status, reconnect })
+}
+
+// Publish a symbol's sync state to the UI only when it actually changes
+function updateBookStatus(symbol, patch) {
+  const prev = bookStatus[symbol]
+  const next = {
+    state: 'uninitialized',
+    synced: false,
+    resyncs: 0,
+    subscription: 'pending',
+    retries: 0,
+    reason: null,
+    ...prev,
+    ...patch,
+  }
+  if (prev && Object.keys(next).every(key => next[key] === prev[key])) return
+  bookStatus = { ...bookStatus, [symbol]: next }
+  self.postMessage({ type: 'bookStatus', bookStatus })
+}
+
+function dropBookStatus(symbol) {
+  const { [symbol]: dropped, ...rest } = bookStatus
+  bookStatus = rest
+  self.postMessage({ type: 'bookStatus', bookStatus })
+}
+
+// Report a failure to the UI's error log, with the raw message that caused it
+function logError(errorClass, symbol, message, raw) {
+  console.warn(`[HAVDEPTH] ${errorClass} error${symbol ? ` on ${symbol}` : ''}: ${message}`)
+  self.postMessage({
+    type: 'error',
+    entry: { id: ++errorCount, time: Date.now(), errorClass, symbol, message, raw },
+  })
+}
+
+// Reset a single book and resubscribe only that pair; the fresh snapshot brings it back in sync
+function resyncSymbol(symbol) {
+  const book = books[symbol]
+  if (!book || resyncing.has(symbol)) return
+  resyncing.add(symbol)
+
+  console.warn(`[HAVDEPTH] Checksum mismatch on ${symbol}, resyncing`)
+  // Queued updates for this symbol are ignored by the reset book until the new snapshot
+  book.reset()
+  updateBookStatus(symbol, {
+    state: book.get_state(),
+    synced: false,
+    resyncs: (bookStatus[symbol]?.resyncs || 0) + 1,
+  })
+
+  unsubscribe([symbol])
+  subscribe([symbol])
+}
+
+// Apply one raw message to its book; returns true if the book changed
+function applyMessage({ symbol, data }) {
+  const book = books[symbol]
+  if (!book) return false
+
+  try {
+    const start = performance.now()
+    const msgType = book.apply_message(data)
+    applyTimes[applyCount++ % APPLY_SAMPLES] = performance.now() - start
+    updateBookStatus(symbol, { state: book.get_state(), synced: book.is_synced() })
+    if (msgType !== 'update' && msgType !== 'snapshot') return false
+    if (msgType === 'snapshot') resyncing.delete(symbol)
+    return true
+  } catch (e) {
+    // The SDK validates checksums itself and throws when the book has drifted
+    const errorClass = classifyApplyError(e)
+    logError(errorClass, symbol, String(e), data)
+    if (errorClass === 'checksum') resyncSymbol(symbol)
+    return false
+  }
+}
+
+// Post the latest state of the selected book, with cumulative depth already computed
+function publish() {
+  publishTimer = null
+  lastPublishAt = performance.now()
+  const book = books[selectedSymbol]
+
+  if (book && dirty.has(selectedSymbol)) {
+    const bids = packLevels(book.get_top_bids(depth) || [])
+    const asks = packLevels(book.get_top_asks(depth) || [])
+    const bestBid = bids.length > 0 ? bids[0] : null
+    const bestAsk = asks.length > 0 ? asks[0] : null
+    const midPrice = bestBid && bestAsk ? (bestBid + bestAsk) / 2 : null
+    // Walls and gaps ride along with the levels, so the chart and panel never disagree
+    const features = detectFeatures(unpackLevels(bids), unpackLevels(asks), midPrice, wallMultiple)
+
+    self.postMessage({
+      type: 'book',
+      symbol: selectedSymbol,
+      depth,
+      synced: book.is_synced(),
+      bids,
+      asks,
+      midPrice,
+      spread: bestBid && bestAsk ? bestAsk - bestBid : null,
+      features,
+    }, [bids.buffer, asks.buffer])
+  }
+  dirty.clear()
+  self.postMessage({ type: 'ingest', backlog: queue.length, lagMs })
+  if (replay) postReplay()
+}
+
+// Publish at most once per interval, however many messages were applied in between
+function schedulePublish() {
+  if (publishTimer !== null) return
+  const wait = Math.max(0, lastPublishAt + publishIntervalMs - performance.now())
+  publishTimer = setTimeout(publish, wait)
+}
+
+// Apply queued messages in arrival order. Nothing is ever dropped: if the budget runs out
+// the rest waits for the next slice, and the backlog shows up in the ingest stats.
+function drainQueue() {
+  drainTimer = null
+  const start = performance.now()
+
+  let processed = 0
+  while (processed < queue.length && performance.now() - start < INGEST_BUDGET_MS) {
+    const msg = queue[processed++]
+    if (applyMessage(msg)) dirty.add(msg.symbol)
+    lagMs = performance.now() - msg.receivedAt
+  }
+  queue.splice(0, processed)
+
+  if (queue.length > 0) drainTimer = setTimeout(drainQueue, 0)
+  schedulePublish()
+}
+
+// Count a received book message; updates carry an exchange timestamp for latency
+function recordFeed(symbol, timestamp) {
+  const stats = feedStats[symbol] || (feedStats[symbol] = { count: 0, lastAt: null, latencyMs: null })
+  stats.count++
+  stats.lastAt = Date.now()
+
+  if (timestamp && clockOffsetMs !== null) {
+    const latency = stats.lastAt + clockOffsetMs - Date.parse(timestamp)
+    stats.latencyMs = stats.latencyMs === null
+      ? latency
+      : stats.latencyMs + LATENCY_SMOOTHING * (latency - stats.latencyMs)
+  }
+}
+
+function applyTimeSummary() {
+  const n = Math.min(applyCount, APPLY_SAMPLES)
+  if (n === 0) return { meanMs: null, p99Ms: null }
+  const samples = applyTimes.slice(0, n).sort()
+  const mean = samples.reduce((sum, t) => sum + t, 0) / n
+  return { meanMs: mean, p99Ms: samples[Math.floor(0.99 * (n - 1))] }
+}
+
+function postHealth() {
+  const now = Date.now()
+  const elapsed = (performance.now() - lastHealthAt) / 1000
+  lastHealthAt = performance.now()
+
+  const symbols = {}
+  Object.keys(books).forEach(sym => {
+    const stats = feedStats[sym] || { count: 0, lastAt: null, latencyMs: null }
+    symbols[sym] = {
+      rate: stats.count / elapsed,
+      sinceUpdateMs: stats.lastAt === null ? null : now - stats.lastAt,
+      latencyMs: stats.latencyMs,
+    }
+    stats.count = 0
+  })
+  // Stats for unsubscribed symbols go with their books
+  feedStats = Object.fromEntries(Object.entries(feedStats).filter(([sym]) => books[sym]))
+
+  self.postMessage({
+    type: 'health',
+    symbols,
+    apply: applyTimeSummary(),
+    heartbeat: {
+      count: heartbeat.count,
+      sinceMs: heartbeat.lastAt === null ? null : now - heartbeat.lastAt,
+    },
+    clockOffsetMs,
+  })
+  if (recording.active) postRecording()
+}
+
+// Band liquidity across every book, not just the published one; books still waiting for
+// a snapshot or resyncing are left out rather than shown empty
+function postLiquidity() {
+  const symbols = {}
+  Object.entries(books).forEach(([sym, book]) => {
+    if (!book.is_synced()) return
+    const liquidity = bandLiquidity(book.get_top_bids(depth) || [], book.get_top_asks(depth) || [], LIQUIDITY_BANDS)
+    if (liquidity) symbols[sym] = liquidity
+  })
+  self.postMessage({ type: 'liquidity', symbols })
+}
+
+function postRecording() {
+  const { active, startedAt, messages, bytes, capped } = recording
+  self.postMessage({ type: 'recording', active, startedAt, messages, bytes, capped })
+}
+
+function appendRecording(line) {
+  // Lines are ASCII JSON, so string length is the byte count
+  if (recording.bytes + line.length > RECORDING_MAX_BYTES) {
+    console.warn('[HAVDEPTH] Recording size cap reached, stopping')
+    recording.active = false
+    recording.capped = true
+    postRecording()
+    return false
+  }
+  recording.lines.push(line)
+  recording.bytes += line.length
+  return true
+}
+
+// A recording has to open with a snapshot of every book to be replayable, so
+// starting one resubscribes the live books
+function startRecording() {
+  const startedAt = Date.now()
+  recording = { ...emptyRecording(), active: true, startedAt }
+  appendRecording(recordingHeader(startedAt, depth, precision))
+  console.log('[HAVDEPTH] Recording started')
+
+  const symbols = Object.keys(books)
+  symbols.forEach(sym => {
+    books[sym].reset()
+    updateBookStatus(sym, { state: books[sym].get_state(), synced: false })
+  })
+  unsubscribe(symbols)
+  subscribe(symbols)
+  postRecording()
+}
+
+function exportRecording() {
+  if (recording.lines.length === 0) return
+  const blob = new Blob(recording.lines, { type: 'application/x-ndjson' })
+  self.postMessage({ type: 'recordingExport', blob, startedAt: recording.startedAt })
+}
+
+function queueMessage(symbol, data) {
+  queue.push({ symbol, data, receivedAt: performance.now() })
+  if (drainTimer === null) drainTimer = setTimeout(drainQueue, 0)
+}
+
+function createBook(symbol) {
+  const book = WasmOrderbook.with_depth(symbol, depth)
+  const [pricePrecision, qtyPrecision] = precision[symbol] || [2, 8]
+  book.set_precision(pricePrecision, qtyPrecision)
+  books[symbol] = book
+  updateBookStatus(symbol, { state: book.get_state(), synced: false, subscription: replay ? 'replay' : 'pending' })
+  return book
+}
+
+function freeBooks() {
+  Object.keys(books).forEach(sym => {
+    books[sym].free()
+    delete books[sym]
+    clearTimeout(ackTimers[sym])
+    delete ackTimers[sym]
+    dropBookStatus(sym)
+  })
+  queue = []
+  resyncing.clear()
+}
+
+function postReplay() {
+  if (!replay) {
+    self.postMessage({ type: 'replay', active: false, depth })
+    return
+  }
+  const { fileName, symbols } = replay
+  self.postMessage({ type: 'replay', active: true, fileName, symbols, depth, ...replay.player.state() })
+}
+
+// Recorded frames go through the same queue as live ones
+function replayEvent(event) {
+  if (event.depth !== undefined) {
+    setDepth(event.depth)
+    return
+  }
+  recordFeed(event.symbol, null)
+  queueMessage(event.symbol, event.data)
+}
+
+// Rebuild the books as they were just before events[index]: start from the latest snapshot
+// of each symbol (since the last depth change) and apply everything from the earliest of them
+function rebuildReplay(index) {
+  const { header, events } = replay
+  queue = []
+  resyncing.clear()
+
+  let targetDepth = header.depth
+  let lastSnapshot = {}
+  for (let i = 0; i < index; i++) {
+    if (events[i].depth !== undefined) {
+      targetDepth = events[i].depth
+      lastSnapshot = {}
+    } else if (events[i].snapshot) {
+      lastSnapshot[events[i].symbol] = i
+    }
+  }
+
+  if (targetDepth !== depth) {
+    setDepth(targetDepth)
+  } else {
+    Object.entries(books).forEach(([sym, book]) => {
+      book.reset()
+      updateBookStatus(sym, { state: book.get_state(), synced: false })
+    })
+  }
+
+  const start = Math.min(index, ...Object.values(lastSnapshot))
+  for (let i = start; i < index; i++) applyMessage(events[i])
+  Object.keys(books).forEach(sym => dirty.add(sym))
+  schedulePublish()
+}
+
+async function loadReplay(file) {
+  let parsed
+  try {
+    parsed = parseRecording(await file.text())
+  } catch (e) {
+    logError('parse', null, `Could not load ${file.name}: ${e.message || e}`, null)
+    return
+  }
+  const { header, events, symbols } = parsed
+
+  // Stop the live feed, and any replay already running
+  if (replay) replay.player.stop()
+  closeFeed()
+  if (recording.active) {
+    recording.active = false
+    postRecording()
+  }
+  freeBooks()
+
+  // The recording's depth and precision apply to its books only; the live ones come back on exit
+  const liveDepth = replay ? replay.liveDepth : depth
+  const livePrecision = replay ? replay.livePrecision : precision
+  const player = createReplayPlayer(events, { onEvent: replayEvent, onSeek: rebuildReplay, onChange: schedulePublish })
+  replay = { player, header, events, symbols, fileName: file.name, liveDepth, livePrecision }
+  console.log(`[HAVDEPTH] Replaying ${file.name}: ${events.length} events, ${symbols.length} symbols`)
+  setStatus('Replay')
+
+  depth = header.depth
+  precision = { ...livePrecision, ...header.precision }
+  symbols.forEach(createBook)
+  postReplay()
+}
+
+function exitReplay() {
+  if (!replay) return
+  replay.player.stop()
+  depth = replay.liveDepth
+  precision = replay.livePrecision
+  replay = null
+  freeBooks()
+  console.log('[HAVDEPTH] Replay closed, back to the live feed')
+  postReplay()
+
+  attempt = 0
+  syncSubscriptions()
+  connect()
+}
+
+// Rejections that retrying won't fix
+function isPermanentRejection(reason) {
+  return /not supported|invalid|unknown/i.test(reason || '')
+}
+
+function subscribe(symbols) {
+  if (replay) return
+  symbols.forEach(sym => updateBookStatus(sym, { subscription: 'pending' }))
+  if (!feed?.isOpen()) return
+
+  feed.send(JSON.stringify({
+    method: 'subscribe',
+    params: { channel: 'book', symbol: symbols, depth }
+  }))
+  symbols.forEach(sym => {
+    clearTimeout(ackTimers[sym])
+    ackTimers[sym] = setTimeout(() => onSubscribeFailed(sym, 'No acknowledgement'), SUBSCRIBE_ACK_TIMEOUT_MS)
+  })
+}
+
+// Kraken acknowledges each symbol of a subscribe request separately
+function onSubscribeAck(msg, raw) {
+  const symbol = msg.result?.symbol ?? msg.symbol
+  if (!symbol || !books[symbol]) return
+  clearTimeout(ackTimers[symbol])
+  delete ackTimers[symbol]
+
+  if (msg.success) {
+    updateBookStatus(symbol, { subscription: 'active', retries: 0, reason: null })
+  } else {
+    logError('subscription', symbol, msg.error || 'Subscription rejected', raw)
+    onSubscribeFailed(symbol, msg.error)
+  }
+}
+
+// Retry transient failures with backoff; give up on permanent ones and on repeat offenders
+function onSubscribeFailed(symbol, reason) {
+  delete ackTimers[symbol]
+  if (!books[symbol]) return
+  if (/already subscribed/i.test(reason || '')) {
+    updateBookStatus(symbol, { subscription: 'active', reason: null })
+    return
+  }
+
+  const retries = (bookStatus[symbol]?.retries || 0) + 1
+  if (isPermanentRejection(reason) || retries > SUBSCRIBE_MAX_RETRIES) {
+    console.warn(`[HAVDEPTH] Subscription to ${symbol} rejected: ${reason}`)
+    rejected = { ...rejected, [symbol]: reason || 'Subscription rejected' }
+    self.postMessage({ type: 'rejected', rejected })
+    syncSubscriptions()
+    return
+  }
+
+  const delay = SUBSCRIBE_RETRY_BASE_MS * 2 ** (retries - 1)
+  console.log(`[HAVDEPTH] Subscription to ${symbol} failed (${reason}), retry ${retries} in ${delay}ms`)
+  updateBookStatus(symbol, { subscription: 'retrying', retries, reason })
+  ackTimers[symbol] = setTimeout(() => {
+    delete ackTimers[symbol]
+    if (books[symbol]) subscribe([symbol])
+  }, delay)
+}
+
+function unsubscribe(symbols) {
+  if (replay) return
+  if (!feed?.isOpen()) return
+  feed.send(JSON.stringify({
+    method: 'unsubscribe',
+    params: { channel: 'book', symbol: symbols, depth }
+  }))
+}
+
+// A book's depth is fixed at creation, so changing it means new books and new subscriptions
+function setDepth(newDepth) {
+  if (newDepth === depth) return
+  const symbols = Object.keys(books)
+  unsubscribe(symbols)
+  depth = newDepth
+  resyncing.clear()
+  if (recording.active) appendRecording(recordingDepthChange(Date.now(), depth))
+
+  symbols.forEach(sym => {
+    books[sym].free()
+    createBook(sym)
+  })
+  subscribe(symbols)
+
+  // Clears the chart until the new snapshot arrives
+  dirty.add(selectedSymbol)
+  schedulePublish()
+}
+
+// Bring the live books in line with the selected and pinned symbols. Queued messages
+// for a dropped symbol find no book and are skipped.
+function syncSubscriptions() {
+  if (!sdkReady || replay) return
+  const wanted = new Set([selectedSymbol, ...pinned].filter(sym => !rejected[sym]))
+  const added = [...wanted].filter(sym => !books[sym])
+  const removed = Object.keys(books).filter(sym => !wanted.has(sym))
+
+  removed.forEach(sym => {
+    books[sym].free()
+    delete books[sym]
+    resyncing.delete(sym)
+    clearTimeout(ackTimers[sym])
+    delete ackTimers[sym]
+    dropBookStatus(sym)
+  })
+  added.forEach(createBook)
+
+  // A rejected pair was never subscribed, so there is nothing to unsubscribe
+  const unsubscribed = removed.filter(sym => !rejected[sym])
+  if (unsubscribed.length > 0) unsubscribe(unsubscribed)
+  if (added.length > 0) subscribe(added)
+}
+
+// Acks won't arrive once the feed is gone; everything resubscribes on the next connection
+function clearAckTimers() {
+  Object.keys(ackTimers).forEach(sym => {
+    clearTimeout(ackTimers[sym])
+    delete ackTimers[sym]
+  })
+  Object.keys(books).forEach(sym => updateBookStatus(sym, { subscription: 'pending' }))
+}
+
+// Shut the feed down on purpose, without scheduling a reconnect
+function closeFeed() {
+  feed?.close()
+  feed = null
+  clearTimeout(reconnectTimer)
+  clearAckTimers()
+}
+
+function setFeed(newSource) {
+  source = newSource
+  console.log(`[HAVDEPTH] Feed source: ${describeFeed(source)}`)
+  if (!sdkReady) return
+  if (replay) {
+    exitReplay()
+    return
+  }
+  closeFeed()
+  attempt = 0
+  connect()
+}
+
+function connect() {
+  setStatus(attempt > 0 ? 'Reconnecting...' : 'Connecting...')
+  try {
+    feed = openFeed(source, { onOpen, onMessage, onClose, onError: () => setStatus('Error') }, {
+      precisionOf: (symbol) => precision[symbol] || [2, 8],
+    })
+  } catch (e) {
+    // A malformed custom URL; retrying won't help, so wait for a different source
+    console.warn(`[HAVDEPTH] Could not open ${describeFeed(source)}`, e)
+    setStatus('Invalid feed URL')
+  }
+}
+
+function onOpen() {
+  console.log(`[HAVDEPTH] Connected to ${describeFeed(source)}`)
+  setStatus('Connected')
+
+  // Drop anything left over from the previous session; the new snapshot rebuilds each book
+  queue = []
+  resyncing.clear()
+  Object.entries(books).forEach(([sym, book]) => {
+    book.reset()
+    updateBookStatus(sym, { state: book.get_state(), synced: false })
+  })
+
+  if (Object.keys(books).length > 0) subscribe(Object.keys(books))
+}
+
+function onMessage(text) {
+  let msg
+  try {
+    msg = JSON.parse(text)
+  } catch (e) {
+    logError('parse', null, String(e), text)
+    return
+  }
+
+  // Backoff only resets once the feed delivers data; a server that accepts and then drops
+  // every connection keeps backing off
+  if (msg.channel === 'book' || msg.channel === 'heartbeat') attempt = 0
+
+  if (msg.channel === 'book' && msg.data?.[0]?.symbol) {
+    if (recording.active && appendRecording(recordingFrame(Date.now(), text))) recording.messages++
+    recordFeed(msg.data[0].symbol, msg.data[0].timestamp)
+    queueMessage(msg.data[0].symbol, text)
+  } else if (msg.channel === 'heartbeat') {
+    heartbeat.count++
+    heartbeat.lastAt = Date.now()
+  } else if (msg.method === 'subscribe') {
+    onSubscribeAck(msg, text)
+  }
+}
+
+function onClose() {
+  feed = null
+  clearAckTimers()
+
+  const delay = reconnectDelay(attempt)
+  attempt += 1
+  console.log(`[HAVDEPTH] Feed closed, reconnect attempt ${attempt} in ${delay}ms`)
+  setStatus('Disconnected', { attempt, nextRetryAt: Date.now() + delay })
+  reconnectTimer = setTimeout(connect, delay)
+}
+
+async function init() {
+  console.log('[HAVDEPTH] Initializing Havklo SDK...')
+  await initWasm()
+
+  console.log('[HAVDEPTH] SDK ready')
+  sdkReady = true
+  self.postMessage({ type: 'ready' })
+
+  syncSubscriptions()
+  connect()
+  setInterval(postHealth, HEALTH_INTERVAL_MS)
+  setInterval(postLiquidity, LIQUIDITY_INTERVAL_MS)
+}
+
+self.onmessage = ({ data: msg }) => {
+  switch (msg.type) {
+    case 'select':
+      // Switching symbols publishes right away rather than waiting out the interval
+      selectedSymbol = msg.symbol
+      syncSubscriptions()
+      dirty.add(msg.symbol)
+      clearTimeout(publishTimer)
+      publish()
+      break
+    case 'pins':
+      pinned = new Set(msg.symbols)
+      syncSubscriptions()
+      break
+    case 'config':
+      if (msg.publishIntervalMs !== undefined) publishIntervalMs = msg.publishIntervalMs
+      if (msg.wallMultiple !== undefined) {
+        wallMultiple = msg.wallMultiple
+        dirty.add(selectedSymbol)
+        schedulePublish()
+      }
+      // A replay plays at its recorded depth
+      if (msg.depth !== undefined && !replay) setDepth(msg.depth)
+      break
+    case 'retry': {
+      const { [msg.symbol]: cleared, ...rest } = rejected
+      rejected = rest
+      self.postMessage({ type: 'rejected', rejected })
+      syncSubscriptions()
+      break
+    }
+    case 'feed':
+      setFeed(msg.source)
+      break
+    case 'record':
+      if (msg.action === 'start' && !replay) startRecording()
+      if (msg.action === 'stop') {
+        recording.active = false
+        console.log(`[HAVDEPTH] Recording stopped, ${recording.messages} messages`)
+        postRecording()
+      }
+      if (msg.action === 'export') exportRecording()
+      if (msg.action === 'discard') {
+        recording = emptyRecording()
+        postRecording()
+      }
+      break
+    case 'replay':
+      if (msg.action === 'load') loadReplay(msg.file)
+      if (!replay) break
+      if (msg.action === 'play') replay.player.play()
+      if (msg.action === 'pause') replay.player.pause()
+      if (msg.action === 'step') replay.player.step()
+      if (msg.action === 'speed') replay.player.setSpeed(msg.speed)
+      if (msg.action === 'seek') replay.player.seek(msg.index)
+      if (msg.action === 'exit') exitReplay()
+      break
+    case 'clock':
+      clockOffsetMs = msg.offsetMs
+      break
+    case 'catalog':
+      // A replay keeps its recorded precision; the catalog's waits for the live session
+      if (replay) {
+        replay.livePrecision = { ...replay.livePrecision, ...msg.precision }
+        break
+      }
+      // Live books pick up corrected precision; if it was wrong they were already resyncing
+      precision = { ...precision, ...msg.precision }
+      Object.entries(books).forEach(([sym, book]) => {
+        const [pricePrecision, qtyPrecision] = precision[sym] || [2, 8]
+        book.set_precision(pricePrecision, qtyPrecision)
+      })
+      break
+  }
+}
+
+init()
@@ -0,0 +1,375 @@
+// Geometry and drawing for the depth chart, shared by the render loop and its pointer interactions, in CSS pixels.
+// Levels are the unpacked columns from levels.js, best price first.
+
+import { marketImpact } from './levels.js'
+
+// Chart height outside fullscreen; the width follows the container
+export const CHART_HEIGHT = 400
+
+// Padding and label size grow with the chart, within limits that keep labels legible
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value))
+
+// Deepest cumulative volume on a side within [minPrice, maxPrice]
+function visibleVolume(levels, minPrice, maxPrice) {
+  let cum = 0
+  for (let i = 0; i < levels.length; i++) {
+    if (levels.price[i] >= minPrice && levels.price[i] <= maxPrice) cum = levels.cum[i]
+  }
+  return cum
+}
+
+// Largest single level on a side within [minPrice, maxPrice]
+function visibleMaxQty(levels, minPrice, maxPrice) {
+  let max = 0
+  for (let i = 0; i < levels.length; i++) {
+    if (levels.price[i] >= minPrice && levels.price[i] <= maxPrice) max = Math.max(max, levels.qty[i])
+  }
+  return max
+}
+
+// Price window for a zoom ({ center, halfWidthPct }, where a null center follows the mid),
+// or null for the whole book
+export function zoomWindow(zoom, midPrice) {
+  if (!zoom || !midPrice) return null
+  const center = zoom.center ?? midPrice
+  const halfWidth = (midPrice * zoom.halfWidthPct) / 100
+  return { minPrice: center - halfWidth, maxPrice: center + halfWidth }
+}
+
+// Half-width, in % of mid, that shows the whole book
+export function fullBookHalfWidthPct(bids, asks, midPrice) {
+  if (bids.length === 0 || asks.length === 0 || !midPrice) return null
+  const halfWidth = Math.max(midPrice - bids.price[bids.length - 1], asks.price[asks.length - 1] - midPrice)
+  return (halfWidth / midPrice) * 100
+}
+
+// Map between prices/volumes and canvas pixels for the current book; null if there is nothing
+// to draw. With a price window the volume axis only covers the levels inside it.
+export function chartLayout(bids, asks, window, width, height) {
+  if (bids.length === 0 || asks.length === 0 || width <= 0 || height <= 0) return null
+
+  const minPrice = window ? window.minPrice : bids.price[bids.length - 1]
+  const maxPrice = window ? window.maxPrice : asks.price[asks.length - 1]
+  const priceRange = maxPrice - minPrice
+  // A window inside the spread shows no levels; scale to the touch instead
+  const maxVolume = Math.max(
+    visibleVolume(bids, minPrice, maxPrice),
+    visibleVolume(asks, minPrice, maxPrice),
+  ) || Math.max(bids.cum[0], asks.cum[0])
+  if (priceRange <= 0 || maxVolume <= 0) return null
+  const maxLevelQty = Math.max(visibleMaxQty(bids, minPrice, maxPrice), visibleMaxQty(asks, minPrice, maxPrice))
+
+  const padding = Math.round(clamp(width * 0.045, 32, 56))
+  const fontSize = Math.round(clamp(width / 85, 10, 13))
+  const chartWidth = width - padding * 2
+  const chartHeight = height - padding * 2
+  return {
+    width,
+    height,
+    padding,
+    fontSize,
+    chartWidth,
+    chartHeight,
+    minPrice,
+    maxPrice,
+    priceRange,
+    maxVolume,
+    maxLevelQty,
+    priceToX: (price) => padding + ((price - minPrice) / priceRange) * chartWidth,
+    volumeToY: (vol) => padding + chartHeight - (vol / maxVolume) * chartHeight,
+    xToPrice: (x) => minPrice + ((x - padding) / chartWidth) * priceRange,
+  }
+}
+
+// Index of the level whose price is closest to `price`. Bids are sorted descending and
+// asks ascending, so the search works out the direction from the ends of the side.
+export function nearestLevel(levels, price) {
+  const n = levels.length
+  if (n === 0) return -1
+  const descending = levels.price[0] > levels.price[n - 1]
+
+  let lo = 0
+  let hi = n - 1
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1
+    if (descending ? levels.price[mid] > price : levels.price[mid] < price) lo = mid + 1
+    else hi = mid
+  }
+  if (lo > 0 && Math.abs(levels.price[lo - 1] - price) <= Math.abs(levels.price[lo] - price)) return lo - 1
+  return lo
+}
+
+// What it takes to trade through the book down to level `index`
+export function levelSummary(levels, index, midPrice) {
+  let notional = 0
+  for (let i = 0; i <= index; i++) notional += levels.price[i] * levels.qty[i]
+
+  const price = levels.price[index]
+  const distance = midPrice ? (price - midPrice) / midPrice : null
+  return {
+    price,
+    cumQty: levels.cum[index],
+    cumNotional: notional,
+    distancePct: distance === null ? null : distance * 100,
+    distanceBps: distance === null ? null : distance * 10000,
+    levelsConsumed: index + 1,
+  }
+}
+
+// Size a canvas's backing store for the device pixel ratio and return a context that
+// draws in CSS pixels, so lines and text stay sharp on HiDPI screens
+export function prepareCanvas(canvas, { width, height, dpr }) {
+  const backingWidth = Math.round(width * dpr)
+  const backingHeight = Math.round(height * dpr)
+  // Assigning the size clears the canvas, even to the same value, so only do it on change
+  if (canvas.width !== backingWidth) canvas.width = backingWidth
+  if (canvas.height !== backingHeight) canvas.height = backingHeight
+
+  const ctx = canvas.getContext('2d')
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0)
+  return ctx
+}
+
+// Walls labelled per side, largest first; the side panel lists them all
+const WALL_LABELS_PER_SIDE = 5
+
+// Tallest per-level bar, as a share of the plot height. Bars have their own scale so a single
+// large level stands out even when the cumulative axis runs much deeper.
+const LEVEL_BAR_HEIGHT = 0.35
+
+// Paint the book: filled cumulative depth per side, the mid line and axis labels.
+// `book` is { bids, asks, midPrice, features }; with no layout the canvas is just cleared.
+// `style` is { mode: 'step' | 'smooth', levelBars, features, impact: { bids, asks } }, where
+// features turns on the wall and gap annotations and impact holds the order sizes whose
+// consumed region is shaded on each side. Step mode holds each cumulative total flat
+// until the next price, since liquidity only exists at the levels themselves.
+export function drawDepthChart(ctx, book, layout, { width, height }, style) {
+  // Clear, so a symbol or depth switch doesn't leave the previous book on screen
+  ctx.fillStyle = '#0a0e14'
+  ctx.fillRect(0, 0, width, height)
+  if (!layout) return
+
+  // Cumulative volumes come precomputed from the worker
+  const { bids, asks, midPrice } = book
+  const lastBid = bids.length - 1
+  const lastAsk = asks.length - 1
+  const { padding, fontSize, chartWidth, chartHeight, minPrice, priceRange, maxVolume, priceToX, volumeToY } = layout
+
+  const step = style.mode === 'step'
+  const traceLevels = (levels) => {
+    for (let i = 0; i < levels.length; i++) {
+      const x = priceToX(levels.price[i])
+      if (step) ctx.lineTo(x, volumeToY(i > 0 ? levels.cum[i - 1] : 0))
+      ctx.lineTo(x, volumeToY(levels.cum[i]))
+    }
+  }
+
+  // Draw grid
+  ctx.strokeStyle = '#1a1f29'
+  ctx.lineWidth = 1
+  for (let i = 0; i <= 5; i++) {
+    const y = padding + (i / 5) * chartHeight
+    ctx.beginPath()
+    ctx.moveTo(padding, y)
+    ctx.lineTo(width - padding, y)
+    ctx.stroke()
+  }
+
+  // Levels outside a zoomed window are cut off at the plot edges
+  ctx.save()
+  ctx.beginPath()
+  ctx.rect(padding, padding, chartWidth, chartHeight)
+  ctx.clip()
+
+  // Gaps sit behind the book
+  if (style.features) {
+    ctx.fillStyle = 'rgba(255, 165, 0, 0.1)'
+    for (const { fromPrice, toPrice } of [...book.features.bids.gaps, ...book.features.asks.gaps]) {
+      const from = priceToX(fromPrice)
+      ctx.fillRect(Math.min(from, priceToX(toPrice)), padding, Math.abs(priceToX(toPrice) - from), chartHeight)
+    }
+  }
+
+  // Draw bid area (green)
+  ctx.beginPath()
+  ctx.moveTo(priceToX(bids.price[0]), volumeToY(0))
+  traceLevels(bids)
+  ctx.lineTo(priceToX(bids.price[lastBid]), volumeToY(0))
+  ctx.closePath()
+
+  const bidGradient = ctx.createLinearGradient(0, padding, 0, height - padding)
+  bidGradient.addColorStop(0, 'rgba(0, 255, 136, 0.4)')
+  bidGradient.addColorStop(1, 'rgba(0, 255, 136, 0.05)')
+  ctx.fillStyle = bidGradient
+  ctx.fill()
+
+  // Draw bid line
+  ctx.beginPath()
+  ctx.moveTo(priceToX(bids.price[0]), volumeToY(step ? 0 : bids.cum[0]))
+  traceLevels(bids)
+  ctx.strokeStyle = '#00FF88'
+  ctx.lineWidth = 2
+  ctx.stroke()
+
+  // Draw ask area (red)
+  ctx.beginPath()
+  ctx.moveTo(priceToX(asks.price[0]), volumeToY(0))
+  traceLevels(asks)
+  ctx.lineTo(priceToX(asks.price[lastAsk]), volumeToY(0))
+  ctx.closePath()
+
+  const askGradient = ctx.createLinearGradient(0, padding, 0, height - padding)
+  askGradient.addColorStop(0, 'rgba(255, 68, 68, 0.4)')
+  askGradient.addColorStop(1, 'rgba(255, 68, 68, 0.05)')
+  ctx.fillStyle = askGradient
+  ctx.fill()
+
+  // Draw ask line
+  ctx.beginPath()
+  ctx.moveTo(priceToX(asks.price[0]), volumeToY(step ? 0 : asks.cum[0]))
+  traceLevels(asks)
+  ctx.strokeStyle = '#FF4444'
+  ctx.lineWidth = 2
+  ctx.stroke()
+
+  // Shade what an order of the impact calculator's size would eat through
+  const shadeImpact = (levels, size) => {
+    const impact = marketImpact(levels, size, midPrice)
+    if (!impact) return
+    const last = impact.levelsConsumed - 1
+    ctx.beginPath()
+    ctx.moveTo(priceToX(levels.price[0]), volumeToY(0))
+    for (let i = 0; i <= last; i++) {
+      const x = priceToX(levels.price[i])
+      if (step) ctx.lineTo(x, volumeToY(i > 0 ? levels.cum[i - 1] : 0))
+      ctx.lineTo(x, volumeToY(Math.min(levels.cum[i], impact.filledQty)))
+    }
+    ctx.lineTo(priceToX(levels.price[last]), volumeToY(0))
+    ctx.closePath()
+    ctx.fillStyle = 'rgba(0, 217, 255, 0.25)'
+    ctx.fill()
+    ctx.strokeStyle = '#00D9FF'
+    ctx.lineWidth = 1
+    ctx.stroke()
+  }
+  shadeImpact(bids, style.impact.bids)
+  shadeImpact(asks, style.impact.asks)
+
+  if (style.levelBars && layout.maxLevelQty > 0) {
+    const barScale = (chartHeight * LEVEL_BAR_HEIGHT) / layout.maxLevelQty
+    const drawBars = (levels, color) => {
+      ctx.beginPath()
+      for (let i = 0; i < levels.length; i++) {
+        const x = priceToX(levels.price[i])
+        ctx.moveTo(x, volumeToY(0))
+        ctx.lineTo(x, volumeToY(0) - levels.qty[i] * barScale)
+      }
+      ctx.strokeStyle = color
+      ctx.lineWidth = 2
+      ctx.stroke()
+    }
+    drawBars(bids, 'rgba(0, 255, 136, 0.7)')
+    drawBars(asks, 'rgba(255, 68, 68, 0.7)')
+  }
+
+  // Draw mid price line
+  if (midPrice) {
+    ctx.beginPath()
+    ctx.moveTo(priceToX(midPrice), padding)
+    ctx.lineTo(priceToX(midPrice), height - padding)
+    ctx.strokeStyle = '#FFD700'
+    ctx.lineWidth = 1
+    ctx.setLineDash([5, 5])
+    ctx.stroke()
+    ctx.setLineDash([])
+  }
+  ctx.restore()
+
+  if (style.features) {
+    drawWallLabels(ctx, book.features.bids.walls, bids, layout, '#00FF88')
+    drawWallLabels(ctx, book.features.asks.walls, asks, layout, '#FF4444')
+  }
+
+  // Draw price labels, with enough decimals to tell them apart when zoomed in
+  ctx.fillStyle = '#666'
+  ctx.font = `${fontSize}px SF Mono`
+  ctx.textAlign = 'center'
+
+  const priceStep = priceRange / 5
+  const priceDigits = Math.max(0, Math.min(8, Math.ceil(-Math.log10(priceStep))))
+  for (let i = 0; i <= 5; i++) {
+    const price = minPrice + priceStep * i
+    ctx.fillText('$' + price.toLocaleString(undefined, { maximumFractionDigits: priceDigits }), priceToX(price), height - padding / 4)
+  }
+
+  // Draw volume labels
+  ctx.textAlign = 'right'
+  for (let i = 0; i <= 4; i++) {
+    const vol = (maxVolume / 4) * (4 - i)
+    ctx.fillText(vol.toFixed(2), padding - 5, padding + (i / 4) * chartHeight + fontSize / 3)
+  }
+}
+
+// Mark the largest walls in view on the curve, with their price and size
+function drawWallLabels(ctx, walls, levels, layout, color) {
+  const { padding, width, fontSize, minPrice, maxPrice, priceToX, volumeToY } = layout
+  const shown = walls
+    .filter(wall => wall.price >= minPrice && wall.price <= maxPrice)
+    .sort((a, b) => b.qty - a.qty)
+    .slice(0, WALL_LABELS_PER_SIDE)
+
+  ctx.font = `${fontSize - 1}px SF Mono`
+  ctx.textAlign = 'center'
+  for (const wall of shown) {
+    const x = priceToX(wall.price)
+    const y = volumeToY(levels.cum[wall.index])
+    ctx.beginPath()
+    ctx.arc(x, y, 3, 0, Math.PI * 2)
+    ctx.fillStyle = color
+    ctx.fill()
+
+    const label = `$${wall.price.toLocaleString()} · ${wall.qty.toFixed(wall.qty >= 100 ? 0 : 2)}`
+    const labelWidth = ctx.measureText(label).width + 8
+    // Keep the label inside the plot, clear of the axes
+    const labelX = Math.max(padding + labelWidth / 2, Math.min(width - padding - labelWidth / 2, x))
+    const labelY = Math.max(padding + fontSize, y - 8)
+    ctx.fillStyle = 'rgba(10, 14, 20, 0.8)'
+    ctx.fillRect(labelX - labelWidth / 2, labelY - fontSize, labelWidth, fontSize + 4)
+    ctx.fillStyle = color
+    ctx.fillText(label, labelX, labelY)
+  }
+}
+
+// Snap the crosshair at `point` to the nearest level on the side of mid the pointer is on
+export function findCrosshair(point, layout, { bids, asks, midPrice }) {
+  if (!point || !layout) return null
+  const price = layout.xToPrice(point.x)
+  const isBid = midPrice ? price < midPrice : price <= bids.price[0]
+  const levels = isBid ? bids : asks
+  const index = nearestLevel(levels, price)
+  return {
+    isBid,
+    x: layout.priceToX(levels.price[index]),
+    y: layout.volumeToY(levels.cum[index]),
+    summary: levelSummary(levels, index, midPrice),
+  }
+}
+
+export function drawCrosshair(ctx, crosshair, layout) {
+  const { padding, width, height } = layout
+  ctx.strokeStyle = 'rgba(179, 177, 173, 0.5)'
+  ctx.lineWidth = 1
+  ctx.setLineDash([3, 3])
+  ctx.beginPath()
+  ctx.moveTo(crosshair.x, padding)
+  ctx.lineTo(crosshair.x, height - padding)
+  ctx.moveTo(padding, crosshair.y)
+  ctx.lineTo(width - padding, crosshair.y)
+  ctx.stroke()
+  ctx.setLineDash([])
+
+  ctx.beginPath()
+  ctx.arc(crosshair.x, crosshair.y, 4, 0, Math.PI * 2)
+  ctx.fillStyle = crosshair.isBid ? '#00FF88' : '#FF4444'
+  ctx.fill()
+}
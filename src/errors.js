@@ -0,0 +1,17 @@
+// Error classes reported by the depth worker, in display order
+export const ERROR_CLASSES = {
+  parse: 'Parse failure',
+  checksum: 'Checksum mismatch',
+  borrow: 'WASM borrow conflict',
+  subscription: 'Subscription rejected',
+  apply: 'Other SDK error',
+}
+
+// Sort an error thrown while applying a message into one of the classes above
+export function classifyApplyError(e) {
+  const text = String(e)
+  if (text.includes('Checksum mismatch')) return 'checksum'
+  // wasm-bindgen's guard against re-entrant calls on the same Rust object
+  if (text.includes('recursive use of an object') || text.includes('already borrowed')) return 'borrow'
+  return 'apply'
+}
@@ -0,0 +1,155 @@
+import { WS_URL } from './config.js'
+import { bookChecksum } from './krakenChecksum.js'
+
+// Where the worker's market data comes from. Every source speaks the Kraken v2 WebSocket
+// protocol as text frames and looks like a socket to the worker:
+//   const feed = openFeed(source, { onOpen, onMessage(text), onClose, onError }, options)
+//   feed.send(text)   feed.isOpen()   feed.close()
+// close() is a deliberate shutdown and does not call onClose, so it never triggers a reconnect.
+// Recorded sessions are not a feed: the worker replays them itself so it can seek.
+
+export const FEED_KINDS = [
+  { kind: 'kraken', label: 'Kraken' },
+  { kind: 'custom', label: 'Custom URL' },
+  { kind: 'synthetic', label: 'Synthetic' },
+]
+
+export function describeFeed(source) {
+  if (source.kind === 'custom') return source.url
+  return FEED_KINDS.find(f => f.kind === source.kind)?.label || source.kind
+}
+
+export function openFeed(source, handlers, options = {}) {
+  if (source.kind === 'synthetic') return openSyntheticFeed(handlers, options)
+  return openWebSocketFeed(source.kind === 'custom' ? source.url : WS_URL, handlers)
+}
+
+function openWebSocketFeed(url, handlers) {
+  const ws = new WebSocket(url)
+  ws.onopen = () => handlers.onOpen()
+  ws.onmessage = (event) => handlers.onMessage(event.data)
+  ws.onclose = () => handlers.onClose()
+  ws.onerror = () => handlers.onError()
+
+  return {
+    send: (text) => ws.send(text),
+    isOpen: () => ws.readyState === WebSocket.OPEN,
+    close() {
+      ws.onopen = ws.onmessage = ws.onclose = ws.onerror = null
+      ws.close()
+    },
+  }
+}
+
+const SYNTHETIC_TICK_MS = 100
+const SYNTHETIC_HEARTBEAT_MS = 1000
+// Rough starting prices so the synthetic books look plausible; anything else starts at 100
+const SYNTHETIC_PRICES = { 'BTC/USD': 60000, 'ETH/USD': 3000, 'SOL/USD': 150, 'XRP/USD': 0.5, 'ADA/USD': 0.4 }
+
+// Randomly churning books generated in the worker, for running without a network. Each tick
+// changes a few quantities and moves a few levels, always keeping `depth` levels per side,
+// and every message carries a real checksum so the books validate like live ones.
+function openSyntheticFeed(handlers, { precisionOf = () => [2, 8] } = {}) {
+  const books = {}  // symbol -> { bids, asks, pricePrecision, qtyPrecision }
+  let open = true
+
+  // Serialized right away, since the levels keep changing before the frame is delivered
+  const send = (msg) => {
+    const text = JSON.stringify(msg)
+    setTimeout(() => open && handlers.onMessage(text), 0)
+  }
+  const round = (value, decimals) => Number(value.toFixed(decimals))
+  const checksum = (book) => bookChecksum(book.asks, book.bids, book.pricePrecision, book.qtyPrecision)
+
+  const randomQty = (book) => round(0.01 + Math.random() * 5, book.qtyPrecision)
+
+  function createBook(symbol, depth) {
+    const [pricePrecision, qtyPrecision] = precisionOf(symbol)
+    const tick = 10 ** -pricePrecision
+    const mid = SYNTHETIC_PRICES[symbol] || 100
+    // Space levels so the whole book spans about 2% either side of mid
+    const step = Math.max(1, Math.round((mid * 0.02) / depth / tick)) * tick
+    const book = { bids: [], asks: [], pricePrecision, qtyPrecision, step }
+    for (let i = 0; i < depth; i++) {
+      const bid = round(mid - step * (i + 1), pricePrecision)
+      if (bid > 0) book.bids.push({ price: bid, qty: randomQty(book) })
+      book.asks.push({ price: round(mid + step * i, pricePrecision), qty: randomQty(book) })
+    }
+    return book
+  }
+
+  // Replace a level with a fresh price inside the current range, so each side keeps its size
+  function moveLevel(book, side, changes) {
+    const levels = book[side]
+    const i = Math.floor(Math.random() * levels.length)
+    const best = levels[0].price
+    const worst = levels[levels.length - 1].price
+    const price = round(best + (worst - best) * Math.random(), book.pricePrecision)
+    if (levels.some(level => level.price === price)) return
+
+    changes.push({ price: levels[i].price, qty: 0 })
+    levels.splice(i, 1)
+    const level = { price, qty: randomQty(book) }
+    levels.push(level)
+    levels.sort(side === 'bids' ? (a, b) => b.price - a.price : (a, b) => a.price - b.price)
+    changes.push(level)
+  }
+
+  function resizeLevel(book, side, changes) {
+    const levels = book[side]
+    // Activity clusters near the touch, like a real book
+    const i = Math.min(levels.length - 1, Math.floor(Math.random() ** 3 * levels.length))
+    levels[i] = { price: levels[i].price, qty: randomQty(book) }
+    changes.push(levels[i])
+  }
+
+  const timer = setInterval(() => {
+    Object.entries(books).forEach(([symbol, book]) => {
+      const changes = { bids: [], asks: [] }
+      for (let n = 0; n < 3; n++) {
+        const side = Math.random() < 0.5 ? 'bids' : 'asks'
+        resizeLevel(book, side, changes[side])
+      }
+      if (Math.random() < 0.3) moveLevel(book, 'bids', changes.bids)
+      if (Math.random() < 0.3) moveLevel(book, 'asks', changes.asks)
+      const { bids, asks } = changes
+      send({
+        channel: 'book',
+        type: 'update',
+        data: [{ symbol, bids, asks, checksum: checksum(book), timestamp: new Date().toISOString() }],
+      })
+    })
+  }, SYNTHETIC_TICK_MS)
+  const heartbeat = setInterval(() => send({ channel: 'heartbeat' }), SYNTHETIC_HEARTBEAT_MS)
+
+  function onRequest({ method, params, req_id }) {
+    if (params?.channel !== 'book') return
+    params.symbol.forEach(symbol => {
+      if (method === 'subscribe') {
+        books[symbol] = createBook(symbol, params.depth)
+        const { bids, asks } = books[symbol]
+        send({ method, success: true, result: { channel: 'book', symbol, depth: params.depth }, req_id })
+        send({
+          channel: 'book',
+          type: 'snapshot',
+          data: [{ symbol, bids, asks, checksum: checksum(books[symbol]) }],
+        })
+      } else if (method === 'unsubscribe') {
+        delete books[symbol]
+        send({ method, success: true, result: { channel: 'book', symbol }, req_id })
+      }
+    })
+  }
+
+  setTimeout(() => open && handlers.onOpen(), 0)
+
+  return {
+    send: (text) => onRequest(JSON.parse(text)),
+    isOpen: () => open,
+    close() {
+      open = false
+      clearInterval(timer)
+      clearInterval(heartbeat)
+    },
+  }
+}
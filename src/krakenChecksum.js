@@ -0,0 +1,23 @@
+// Kraken v2 book checksum: CRC32 over the top 10 asks (best first) then the top 10 bids,
+// each level as its price then its quantity, formatted to the pair's precision with the
+// decimal point and leading zeros removed. Shared by the synthetic feed and the mock server.
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+  return c
+})
+
+function crc32(text) {
+  let crc = 0xFFFFFFFF
+  for (let i = 0; i < text.length; i++) crc = CRC_TABLE[(crc ^ text.charCodeAt(i)) & 0xFF] ^ (crc >>> 8)
+  return (crc ^ 0xFFFFFFFF) >>> 0
+}
+
+const digits = (value, decimals) => value.toFixed(decimals).replace('.', '').replace(/^0+/, '')
+
+// asks and bids are [{ price, qty }], best first
+export function bookChecksum(asks, bids, pricePrecision, qtyPrecision) {
+  const level = ({ price, qty }) => digits(price, pricePrecision) + digits(qty, qtyPrecision)
+  return crc32(asks.slice(0, 10).map(level).join('') + bids.slice(0, 10).map(level).join(''))
+}
@@ -0,0 +1,87 @@
+// Book levels cross the worker boundary as one Float64Array per side, laid out
+// column-wise so the buffer can be transferred instead of copied:
+//   [price 0..n-1, qty 0..n-1, cumulative qty 0..n-1]
+
+export function packLevels(levels) {
+  const n = levels.length
+  const packed = new Float64Array(n * 3)
+  let cum = 0
+  for (let i = 0; i < n; i++) {
+    cum += levels[i].qty
+    packed[i] = levels[i].price
+    packed[n + i] = levels[i].qty
+    packed[2 * n + i] = cum
+  }
+  return packed
+}
+
+export function unpackLevels(packed) {
+  const n = packed.length / 3
+  return {
+    length: n,
+    price: packed.subarray(0, n),
+    qty: packed.subarray(n, 2 * n),
+    cum: packed.subarray(2 * n),
+  }
+}
+
+export const EMPTY_LEVELS = unpackLevels(new Float64Array(0))
+
+// Total quantity across all levels of a side
+export function totalQty(levels) {
+  return levels.length > 0 ? levels.cum[levels.length - 1] : 0
+}
+
+// Walk a market order of `size` (base units) through a side, best price first, the way it
+// would fill against the book as shown. Slippage is the average fill's distance from mid in
+// bps, positive when it costs the taker. Null for an empty side or a non-positive size.
+export function marketImpact(levels, size, midPrice) {
+  if (!(size > 0) || levels.length === 0) return null
+
+  let remaining = size
+  let notional = 0
+  let last = -1
+  while (remaining > 0 && last < levels.length - 1) {
+    last++
+    const take = Math.min(remaining, levels.qty[last])
+    notional += take * levels.price[last]
+    remaining -= take
+  }
+
+  const filledQty = size - remaining
+  const avgPrice = notional / filledQty
+  return {
+    size,
+    filledQty,
+    notional,
+    avgPrice,
+    worstPrice: levels.price[last],
+    slippageBps: midPrice ? (Math.abs(avgPrice - midPrice) / midPrice) * 10000 : null,
+    levelsConsumed: last + 1,
+    fullyFilled: remaining <= 0,
+  }
+}
+
+// Quantity on a side within `bps` of mid
+export function qtyWithinBand(levels, midPrice, bps) {
+  const reach = (midPrice * bps) / 10000
+  let qty = 0
+  for (let i = 0; i < levels.length && Math.abs(levels.price[i] - midPrice) <= reach; i++) qty = levels.cum[i]
+  return qty
+}
+
+// Quantity in the best `n` levels of a side
+function qtyInTop(levels, n) {
+  const count = Math.min(n, levels.length)
+  return count > 0 ? levels.cum[count - 1] : 0
+}
+
+// Bid/ask imbalance, (bid − ask) / (bid + ask): 1 when only bids rest, -1 when only asks do.
+// Measured within `bandBps` of mid and over the top `topLevels` levels; null where both are empty.
+export function bookImbalance(bids, asks, midPrice, { bandBps, topLevels }) {
+  const ratio = (bid, ask) => bid + ask > 0 ? (bid - ask) / (bid + ask) : null
+  return {
+    band: midPrice ? ratio(qtyWithinBand(bids, midPrice, bandBps), qtyWithinBand(asks, midPrice, bandBps)) : null,
+    top: ratio(qtyInTop(bids, topLevels), qtyInTop(asks, topLevels)),
+  }
+}
@@ -0,0 +1,31 @@
+// Usable liquidity near the touch: how much rests within a band of mid on each side,
+// rather than across however many levels happen to be subscribed.
+
+// Base quantity and quote notional on each side within each band (half-widths in bps) of mid.
+// Levels are { price, qty } arrays, best price first, as the WASM book returns them.
+// `complete` is false when the book as held ends inside the band, so the real figure is
+// at least what was summed. Null when either side is empty.
+export function bandLiquidity(bids, asks, bands) {
+  if (bids.length === 0 || asks.length === 0) return null
+  const midPrice = (bids[0].price + asks[0].price) / 2
+
+  const sumWithin = (levels, limit, inBand) => {
+    let base = 0
+    let quote = 0
+    for (const { price, qty } of levels) {
+      if (!inBand(price, limit)) return { base, quote, complete: true }
+      base += qty
+      quote += qty * price
+    }
+    return { base, quote, complete: false }
+  }
+
+  return {
+    midPrice,
+    bands: bands.map(({ bps }) => ({
+      bps,
+      bids: sumWithin(bids, midPrice * (1 - bps / 10000), (price, limit) => price >= limit),
+      asks: sumWithin(asks, midPrice * (1 + bps / 10000), (price, limit) => price <= limit),
+    })),
+  }
+}
@@ -0,0 +1,48 @@
+// Session recordings are newline-delimited JSON. The first line is a header:
+//   { "format": "havdepth-ndjson/1", "startedAt": 1700000000000, "depth": 100, "precision": { "BTC/USD": [1, 8] } }
+// followed by one line per received book message, or per depth change:
+//   { "t": 1700000000123, "data": "<the WebSocket frame exactly as received>" }
+//   { "t": 1700000004567, "depth": 25 }
+// `t` is the receive time in ms since the epoch. Frames are stored as strings rather
+// than parsed objects, so a replay feeds the books exactly the text they saw live.
+
+export const RECORDING_FORMAT = 'havdepth-ndjson/1'
+
+export function recordingHeader(startedAt, depth, precision) {
+  return JSON.stringify({ format: RECORDING_FORMAT, startedAt, depth, precision }) + '\n'
+}
+
+export function recordingFrame(t, data) {
+  return JSON.stringify({ t, data }) + '\n'
+}
+
+export function recordingDepthChange(t, depth) {
+  return JSON.stringify({ t, depth }) + '\n'
+}
+
+export function recordingFileName(startedAt) {
+  return `havdepth-${new Date(startedAt).toISOString().replace(/[:.]/g, '-')}.ndjson`
+}
+
+// Parse a recording into its header and a list of events, each either a book frame
+// ({ t, data, symbol, snapshot }) or a depth change ({ t, depth }).
+// Throws on a file that isn't a recording.
+export function parseRecording(text) {
+  const lines = text.split('\n').filter(line => line.trim() !== '')
+  const header = lines.length > 0 ? JSON.parse(lines[0]) : null
+  if (header?.format !== RECORDING_FORMAT) throw new Error(`Not a ${RECORDING_FORMAT} recording`)
+
+  const events = lines.slice(1).map(line => {
+    const { t, data, depth } = JSON.parse(line)
+    if (data === undefined) return { t, depth }
+    const msg = JSON.parse(data)
+    return {
+      t,
+      data,
+      symbol: msg.data[0].symbol,
+      snapshot: msg.type === 'snapshot',
+    }
+  })
+  const symbols = [...new Set(events.filter(e => e.symbol).map(e => e.symbol))]
+  return { header, events, symbols }
+}
@@ -0,0 +1,92 @@
+// Replay speeds, as multiples of recorded time
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 5, 10, 25, 50]
+
+// Plays recorded events back on their recorded timeline. The player only keeps time:
+// each due event goes to onEvent, seeks go to onSeek so the caller can rebuild its
+// state, and onChange fires whenever play state, speed or position change.
+export function createReplayPlayer(events, { onEvent, onSeek, onChange }) {
+  let cursor = 0
+  let playing = false
+  let speed = 1
+  let timer = null
+  // Wall clock and recorded time that playback is measured from
+  let anchorWall = 0
+  let anchorT = 0
+
+  const anchor = () => {
+    anchorWall = performance.now()
+    anchorT = cursor < events.length ? events[cursor].t : 0
+  }
+
+  // Emit everything that is due, then sleep until the next event. Events are batched
+  // rather than timed one by one, so high speeds aren't limited by timer resolution.
+  const tick = () => {
+    timer = null
+    const now = anchorT + (performance.now() - anchorWall) * speed
+    while (cursor < events.length && events[cursor].t <= now) onEvent(events[cursor++])
+
+    if (cursor >= events.length) {
+      playing = false
+    } else {
+      timer = setTimeout(tick, (events[cursor].t - now) / speed)
+    }
+    onChange()
+  }
+
+  const pause = () => {
+    playing = false
+    clearTimeout(timer)
+    timer = null
+    onChange()
+  }
+
+  return {
+    state: () => ({
+      playing,
+      speed,
+      cursor,
+      total: events.length,
+      startT: events[0]?.t ?? null,
+      endT: events[events.length - 1]?.t ?? null,
+      currentT: events[Math.min(cursor, events.length - 1)]?.t ?? null,
+    }),
+    play() {
+      if (playing || cursor >= events.length) return
+      playing = true
+      anchor()
+      tick()
+    },
+    pause,
+    step() {
+      if (playing) pause()
+      if (cursor < events.length) onEvent(events[cursor++])
+      onChange()
+    },
+    setSpeed(newSpeed) {
+      speed = newSpeed
+      if (playing) {
+        clearTimeout(timer)
+        anchor()
+        tick()
+      } else {
+        onChange()
+      }
+    },
+    seek(index) {
+      cursor = Math.max(0, Math.min(index, events.length))
+      onSeek(cursor)
+      if (playing) {
+        clearTimeout(timer)
+        anchor()
+        tick()
+      } else {
+        onChange()
+      }
+    },
+    stop() {
+      clearTimeout(timer)
+      timer = null
+      playing = false
+    },
+  }
+}
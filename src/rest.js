@@ -0,0 +1,56 @@
+import initWasm, { WasmRestClient, WasmRateLimiter } from '../wasm/kraken_wasm.js'
+import { REST_BASE_URL } from './config.js'
+
+// Kraken's REST Depth endpoint returns at most this many levels per side
+const REST_BOOK_MAX = 500
+
+let clientPromise = null
+let limiter = null
+
+// Shared REST client for the UI thread. The SDK's fetch binding requires `window`,
+// so unlike the books, REST calls can't move into the depth worker.
+export function getRestClient() {
+  if (!clientPromise) {
+    clientPromise = initWasm().then(() => (
+      REST_BASE_URL ? WasmRestClient.with_base_url(REST_BASE_URL) : new WasmRestClient()
+    ))
+  }
+  return clientPromise
+}
+
+// All REST calls share Kraken's public rate limit
+function tryAcquire() {
+  limiter ??= WasmRateLimiter.kraken_public()
+  return limiter.try_acquire()
+}
+
+// Fetch an order book snapshot over REST, for a first paint before the WebSocket snapshot.
+// Goes through Kraken's public rate limit and returns null rather than wait for a token,
+// so rapid symbol switching skips the bootstrap instead of queueing requests.
+export async function fetchBookSnapshot(restPair, count) {
+  const client = await getRestClient()
+  if (!tryAcquire()) {
+    console.log(`[HAVDEPTH] REST rate limit reached, skipping snapshot for ${restPair}`)
+    return null
+  }
+
+  const result = await client.get_orderbook(restPair, Math.min(count, REST_BOOK_MAX))
+  const book = Object.values(result)[0]
+  if (!book) return null
+
+  // Rows are [price, volume, timestamp] with decimal strings
+  const toLevels = (rows) => rows.map(([price, qty]) => ({ price: Number(price), qty: Number(qty) }))
+  return { bids: toLevels(book.bids), asks: toLevels(book.asks) }
+}
+
+// Estimate exchange clock minus local clock, in ms. Kraken reports whole seconds, so this
+// places the server reading mid-second at the midpoint of the round trip (accurate to ~0.5s).
+export async function fetchClockOffset() {
+  const client = await getRestClient()
+  if (!tryAcquire()) return null
+
+  const sentAt = Date.now()
+  const { unixtime } = await client.get_server_time()
+  const receivedAt = Date.now()
+  return unixtime * 1000 + 500 - (sentAt + receivedAt) / 2
+}